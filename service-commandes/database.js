@@ -0,0 +1,10 @@
+const { Sequelize } = require('sequelize');
+const config = require('./config');
+
+// --- Sequelize Setup ---
+// Shared by the service and the migration script. SQLite file by default, PostgreSQL when DATABASE_URL is set.
+const sequelize = config.database.dialect === 'postgres'
+  ? new Sequelize(config.database.url, { dialect: 'postgres' })
+  : new Sequelize({ dialect: 'sqlite', storage: config.database.storage });
+
+module.exports = { sequelize };
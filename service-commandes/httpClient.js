@@ -0,0 +1,129 @@
+// HTTP client used for every call to another service: per-call timeout, bounded retries with jittered
+// exponential backoff for idempotent requests (GETs, and POSTs flagged { idempotent: true } by the caller because
+// they carry a reference the service deduplicates on), and a circuit breaker per downstream service.
+// Errors are the axios ones (error.response is set for HTTP errors), plus a CircuitOpenError when the
+// breaker refuses the call. Each service is built as its own Docker image, so this file is copied as-is into
+// every service that calls another one: keep the copies identical.
+const axios = require('axios');
+
+const DEFAULTS = {
+  timeout: 2000, // ms before a call is aborted
+  retries: 2, // extra attempts for idempotent requests
+  backoffBase: 100, // ms, doubled after each attempt
+  backoffMax: 1000, // ms
+  failureThreshold: 5, // consecutive failures before the circuit opens
+  resetTimeout: 10000 // ms before an open circuit lets a trial call through
+};
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed', // Calls go through
+  OPEN: 'open', // Calls fail fast without reaching the service
+  HALF_OPEN: 'half-open' // One trial call is let through to check whether the service is back
+};
+
+// Timeouts, network errors and 5xx mean the service is in trouble; a 4xx is a valid answer
+const isServiceFailure = (error) =>
+  error.name === 'CircuitOpenError' || !error.response || error.response.status >= 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "Full jitter": a random delay up to the exponential backoff, so retrying clients do not all call back together
+const backoffDelay = (attempt, { backoffBase, backoffMax }) =>
+  Math.random() * Math.min(backoffMax, backoffBase * 2 ** attempt);
+
+const createCircuitBreaker = (name, { failureThreshold, resetTimeout }) => {
+  let state = CIRCUIT_STATE.CLOSED;
+  let failures = 0;
+  let openedAt = null;
+
+  const open = () => {
+    state = CIRCUIT_STATE.OPEN;
+    openedAt = Date.now();
+    console.error(`Circuit breaker for ${name} opened after ${failures} consecutive failure(s).`);
+  };
+
+  return {
+    // Throws a CircuitOpenError when the call must not be attempted
+    beforeCall() {
+      if (state === CIRCUIT_STATE.OPEN && Date.now() - openedAt >= resetTimeout) {
+        state = CIRCUIT_STATE.HALF_OPEN;
+        console.log(`Circuit breaker for ${name} half-open, trying a call.`);
+        return;
+      }
+      if (state !== CIRCUIT_STATE.CLOSED) {
+        const error = new Error(`Service ${name} indisponible (circuit ouvert)`);
+        error.name = 'CircuitOpenError';
+        throw error;
+      }
+    },
+    onSuccess() {
+      if (state !== CIRCUIT_STATE.CLOSED) {
+        console.log(`Circuit breaker for ${name} closed.`);
+      }
+      state = CIRCUIT_STATE.CLOSED;
+      failures = 0;
+      openedAt = null;
+    },
+    onFailure() {
+      failures += 1;
+      if (state === CIRCUIT_STATE.HALF_OPEN || failures >= failureThreshold) {
+        open();
+      }
+    },
+    getState() {
+      return {
+        state,
+        failures,
+        openedAt: openedAt && new Date(openedAt).toISOString()
+      };
+    }
+  };
+};
+
+// Creates the client of one downstream service, e.g. createServiceClient('service-livres', { baseURL })
+const createServiceClient = (name, options) => {
+  const settings = { ...DEFAULTS, ...options };
+  const instance = axios.create({ baseURL: settings.baseURL, timeout: settings.timeout });
+  const breaker = createCircuitBreaker(name, settings);
+
+  // One attempt, going through the circuit breaker
+  const attempt = async (config) => {
+    breaker.beforeCall();
+    try {
+      const response = await instance.request(config);
+      breaker.onSuccess();
+      return response;
+    } catch (error) {
+      if (isServiceFailure(error)) {
+        breaker.onFailure();
+      } else {
+        breaker.onSuccess(); // The service answered, even if it said no
+      }
+      throw error;
+    }
+  };
+
+  const request = async ({ idempotent, ...config }) => {
+    // Only idempotent requests can safely be sent again
+    const maxAttempts = config.method === 'get' || idempotent ? settings.retries + 1 : 1;
+    for (let i = 0; ; i++) {
+      try {
+        return await attempt(config);
+      } catch (error) {
+        const retryable = isServiceFailure(error) && error.name !== 'CircuitOpenError';
+        if (!retryable || i + 1 >= maxAttempts) throw error;
+        const delay = backoffDelay(i, settings);
+        console.log(`${name}: ${config.method.toUpperCase()} ${config.url} failed (${error.code || error.response?.status}), retrying in ${Math.round(delay)} ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    getState: () => breaker.getState()
+  };
+};
+
+module.exports = { createServiceClient, isServiceFailure, CIRCUIT_STATE };
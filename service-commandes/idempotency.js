@@ -0,0 +1,154 @@
+// Idempotency keys: a client that may retry a request (after a timeout, for instance) sends the same
+// Idempotency-Key header with each attempt. The first response is stored (status and body) and sent again for
+// the repeated key instead of running the request a second time. Keys belong to the authenticated user and
+// expire after a configurable time; reusing a key for a different request is refused with 422.
+//
+// A request still running holds its key: a retry arriving meanwhile is answered 409. Server errors (5xx) are
+// not stored, so the request can be retried with the same key.
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+
+const MAX_KEY_LENGTH = 255;
+// A key still held after this many seconds belongs to a request that never answered (crash, restart): it is
+// released. Much longer than a request can take, given the timeouts of the calls to the other services.
+const ABANDONED_AFTER = 60;
+const CLEANUP_INTERVAL = 60 * 60; // Seconds between two deletions of the expired keys
+
+const hashRequest = (req) => crypto.createHash('sha256')
+  .update(`${req.method} ${req.path} ${JSON.stringify(req.body ?? null)}`)
+  .digest('hex');
+
+// options: { ttl } in seconds
+const createIdempotency = (sequelize, { ttl }) => {
+  // Table created by the migrations in ./migrations
+  const IdempotencyKey = sequelize.define('IdempotencyKey', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    requestHash: {
+      type: DataTypes.STRING,
+      allowNull: false // SHA-256 of the method, path and body of the first request
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true // Null while the first request is running
+    },
+    responseType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    responseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    timestamps: true
+  });
+
+  // Takes the key for this request, or returns the record already holding it
+  const acquire = async (where, requestHash) => {
+    const now = new Date();
+    try {
+      // The unique index on (userId, key) lets a single request take the key
+      const record = await IdempotencyKey.create({ ...where, requestHash, expiresAt: new Date(now.getTime() + ttl * 1000) });
+      return { record };
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+    }
+    const record = await IdempotencyKey.findOne({ where });
+    if (!record) return acquire(where, requestHash); // Released in the meantime
+
+    const abandoned = record.responseStatus === null && now - record.createdAt > ABANDONED_AFTER * 1000;
+    if (record.expiresAt <= now || abandoned) {
+      await IdempotencyKey.destroy({ where: { id: record.id } });
+      return acquire(where, requestHash);
+    }
+    return { existing: record };
+  };
+
+  // Must run after authenticate. Requests without an Idempotency-Key header go through unchanged.
+  const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).send(`L'en-tête Idempotency-Key doit contenir de 1 à ${MAX_KEY_LENGTH} caractères`);
+    }
+
+    const requestHash = hashRequest(req);
+    const { record, existing } = await acquire({ userId: req.user.id, key }, requestHash);
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).send('Cette clé d\'idempotence a déjà été utilisée pour une requête différente.');
+      }
+      if (existing.responseStatus === null) {
+        res.set('Retry-After', '1');
+        return res.status(409).send('Une requête avec cette clé d\'idempotence est en cours de traitement.');
+      }
+      console.log(`Replaying the response stored for idempotency key ${key} of user ${req.user.id}`);
+      res.set('Idempotent-Replayed', 'true');
+      if (existing.responseType) res.set('Content-Type', existing.responseType);
+      return res.status(existing.responseStatus).send(existing.responseBody ?? undefined);
+    }
+
+    // The response is stored before it is sent, so a client receiving it can rely on the replay
+    const send = res.send.bind(res);
+    let stored = false;
+    res.send = (body) => {
+      if (stored) return send(body);
+      if (body !== null && typeof body === 'object' && !Buffer.isBuffer(body)) {
+        return res.json(body); // Comes back here with the serialized body
+      }
+      stored = true;
+      const saving = res.statusCode >= 500
+        ? record.destroy()
+        : record.update({
+          responseStatus: res.statusCode,
+          responseType: res.get('Content-Type') || null,
+          responseBody: body === undefined ? null : String(body)
+        });
+      saving
+        .catch(error => console.error(`Failed to store the response for idempotency key ${key}:`, error.message))
+        .then(() => send(body));
+      return res;
+    };
+    // Nothing was sent (unexpected error, client gone): the key is released for a retry
+    res.on('close', () => {
+      if (!stored) {
+        record.destroy().catch(error => console.error(`Failed to release idempotency key ${key}:`, error.message));
+      }
+    });
+    next();
+  };
+
+  // Deletes the expired keys, at startup and then every hour
+  const startCleanup = () => {
+    const cleanup = async () => {
+      try {
+        await IdempotencyKey.destroy({ where: { expiresAt: { [Op.lt]: new Date() } }, logging: false });
+      } catch (error) {
+        console.error('Idempotency keys cleanup failed:', error.message);
+      }
+    };
+    cleanup();
+    setInterval(cleanup, CLEANUP_INTERVAL * 1000).unref();
+  };
+
+  return { IdempotencyKey, idempotent, startCleanup };
+};
+
+module.exports = { createIdempotency };
@@ -1,23 +1,56 @@
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
-const { Sequelize, DataTypes } = require('sequelize');
+const { DataTypes } = require('sequelize');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
+const config = require('./config');
+const { authenticate, authenticateUserOrService, internalHeaders, isStaff } = require('./auth');
+const { createServiceClient, isServiceFailure } = require('./httpClient');
+const { sequelize } = require('./database');
+const { assertMigrated } = require('./migrate');
+const { createBroker } = require('./broker');
+const { createOutbox } = require('./outbox');
+const { createRateLimiter } = require('./rateLimit');
+const { createIdempotency } = require('./idempotency');
+const { normalizeIsbn } = require('./isbn');
 
 const app = express();
-const port = 3002;
+const { port } = config;
 
-// URLs for other microservices
-const LIVRES_SERVICE_URL = 'http://localhost:3001'; // Service Livres
-const UTILISATEURS_SERVICE_URL = 'http://localhost:3003'; // Service Utilisateurs
+// Clients used for every call to the other services (timeouts, retries, circuit breakers)
+const livresClient = createServiceClient('service-livres', { baseURL: config.livresServiceUrl });
+const utilisateursClient = createServiceClient('service-utilisateurs', { baseURL: config.utilisateursServiceUrl });
 
+// Order lifecycle: allowed target statuses for each status
+const ORDER_STATUS = {
+  EN_COURS: 'En cours',
+  PAYEE: 'Payée',
+  EXPEDIEE: 'Expédiée',
+  LIVREE: 'Livrée',
+  ANNULEE: 'Annulée'
+};
+const STATUS_TRANSITIONS = {
+  [ORDER_STATUS.EN_COURS]: [ORDER_STATUS.PAYEE, ORDER_STATUS.ANNULEE],
+  [ORDER_STATUS.PAYEE]: [ORDER_STATUS.EXPEDIEE, ORDER_STATUS.ANNULEE],
+  [ORDER_STATUS.EXPEDIEE]: [ORDER_STATUS.LIVREE],
+  [ORDER_STATUS.LIVREE]: [],
+  [ORDER_STATUS.ANNULEE]: []
+};
+
+// VAT applied to order subtotals (reduced French rate for books)
+const TAX_RATE = 0.055;
+
+app.set('trust proxy', config.trustProxy);
 app.use(express.json());
 
-// --- Sequelize Setup ---
-const sequelize = new Sequelize({
-  dialect: 'sqlite',
-  storage: './commandes.sqlite' // File-based SQLite database for orders
-});
+// Write routes accept at most 30 requests per minute from the same client
+const writeLimiter = createRateLimiter({ windowSeconds: 60, max: 30 });
+
+// Responses of POST /commandes replayed for a repeated Idempotency-Key header
+const { idempotent, startCleanup: startIdempotencyCleanup } = createIdempotency(sequelize, { ttl: config.idempotencyKeyTtl });
+
+// Domain events of this service (OrderCreated, OrderStatusChanged), published through the outbox
+const { recordEvent, startRelay } = createOutbox(sequelize, 'service-commandes');
 
 // Define Order Model
 const Order = sequelize.define('Order', {
@@ -32,7 +65,7 @@ const Order = sequelize.define('Order', {
   },
   bookId: {
     type: DataTypes.INTEGER,
-    allowNull: false
+    allowNull: true // Legacy single-book orders only, the books of an order are its OrderItems
   },
   dateCommande: {
     type: DataTypes.DATE,
@@ -40,12 +73,196 @@ const Order = sequelize.define('Order', {
   },
   status: {
     type: DataTypes.STRING,
-    defaultValue: 'En cours' // Default status
+    defaultValue: ORDER_STATUS.EN_COURS, // Default status
+    validate: {
+      isIn: [Object.values(ORDER_STATUS)]
+    }
+  },
+  stockReserved: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false // True while copies are held for this order in service-livres
+  },
+  stockReservation: {
+    type: DataTypes.STRING,
+    allowNull: true // Reference of the reservation of the copies in service-livres (null for orders placed before it was kept)
+  },
+  // Amounts in minor units (cents), computed once at creation. Null for orders placed before prices existed.
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: true
+  },
+  subtotal: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  tax: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  total: {
+    type: DataTypes.INTEGER,
+    allowNull: true
   }
 }, {
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
+// Define OrderStatusHistory Model (one row per status transition, including the creation)
+const OrderStatusHistory = sequelize.define('OrderStatusHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: true // Null for the initial status set at creation
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  changedBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true // ID of the user who triggered the transition
+  },
+  changedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'OrderStatusHistory',
+  timestamps: false // changedAt is the only relevant date
+});
+
+// Define OrderItem Model (one line per ordered book)
+const OrderItem = sequelize.define('OrderItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  bookId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1
+    }
+  },
+  unitPrice: {
+    type: DataTypes.INTEGER,
+    allowNull: true // Book price when the order was placed, in minor units (null for orders placed before prices existed)
+  },
+  bookDeletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the book is deleted from the catalogue
+  },
+  deletedBookTitle: {
+    type: DataTypes.STRING,
+    allowNull: true // Title of the book when it was deleted, as Service Livres no longer knows it
+  }
+}, {
+  timestamps: false
+});
+
+Order.hasMany(OrderStatusHistory, { foreignKey: 'orderId', as: 'history', onDelete: 'CASCADE' });
+OrderStatusHistory.belongsTo(Order, { foreignKey: 'orderId' });
+// Define OrderCancellation Model: progress of the cancellation saga of an order (see cancelOrder)
+const OrderCancellation = sequelize.define('OrderCancellation', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true // Null when cancelled through PUT /commandes/{id}/status
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: false // Status of the order when it was cancelled, which decides the compensating actions
+  },
+  cancelledBy: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  step: {
+    type: DataTypes.STRING,
+    allowNull: false // Next compensating action to run, 'done' once all of them succeeded
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // Failed attempts of the current step
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+// Define Refund Model: amount owed to the customer for a paid order that was cancelled.
+// Payments are handled outside of this service: refundedAt stays null until the refund is made.
+const Refund = sequelize.define('Refund', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+  amount: {
+    type: DataTypes.INTEGER,
+    allowNull: false // Minor units (cents), the total of the order
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true
+});
+
+Order.hasMany(OrderItem, { foreignKey: 'orderId', as: 'items', onDelete: 'CASCADE' });
+OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
+Order.hasOne(OrderCancellation, { foreignKey: 'orderId', as: 'cancellation' });
+OrderCancellation.belongsTo(Order, { foreignKey: 'orderId' });
+Order.hasOne(Refund, { foreignKey: 'orderId', as: 'refund' });
+Refund.belongsTo(Order, { foreignKey: 'orderId' });
+
 // --- Swagger Setup ---
 const swaggerOptions = {
   definition: {
@@ -65,18 +282,34 @@ const swaggerOptions = {
 };
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+app.get('/api-docs.json', (req, res) => res.json(swaggerSpec)); // Raw spec, merged by the API gateway
 
 // --- JSDoc Definitions for Swagger ---
 /**
  * @swagger
  * tags:
- *   name: Commandes
- *   description: Gestion des commandes
+ *   - name: Commandes
+ *     description: Gestion des commandes
+ *   - name: Supervision
+ *     description: État du service
  */
 
 /**
  * @swagger
  * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: Jeton d'accès obtenu via POST /login sur le service Utilisateurs
+ *   responses:
+ *     Unauthorized:
+ *       description: Jeton d'accès manquant, invalide ou expiré
+ *     Forbidden:
+ *       description: La commande appartient à un autre utilisateur ou l'opération est réservée au personnel
+ *     TooManyRequests:
+ *       description: Trop de requêtes, réessayer après le délai indiqué par l'en-tête Retry-After
  *   schemas:
  *     Order:
  *       type: object
@@ -89,14 +322,44 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *           description: ID de l'utilisateur ayant passé la commande
  *         bookId:
  *           type: integer
- *           description: ID du livre commandé
+ *           nullable: true
+ *           deprecated: true
+ *           description: Livre des commandes mono-livre créées avant l'ajout des lignes (null sinon, voir items)
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
  *         dateCommande:
  *           type: string
  *           format: date-time
  *           description: Date de la commande
  *         status:
  *           type: string
- *           description: "Statut de la commande (ex: En cours, Expédiée, Annulée)"
+ *           enum: [En cours, Payée, Expédiée, Livrée, Annulée]
+ *           description: Statut de la commande
+ *         stockReserved:
+ *           type: boolean
+ *           description: Indique si des exemplaires sont réservés pour cette commande dans le service Livres
+ *         stockReservation:
+ *           type: string
+ *           nullable: true
+ *           description: Référence de la réservation des exemplaires dans le service Livres, reprise pour les remettre en stock
+ *         currency:
+ *           type: string
+ *           nullable: true
+ *           description: Devise de la commande (code ISO 4217)
+ *         subtotal:
+ *           type: integer
+ *           nullable: true
+ *           description: Somme des lignes hors taxes, en centimes
+ *         tax:
+ *           type: integer
+ *           nullable: true
+ *           description: TVA (5,5 %) en centimes
+ *         total:
+ *           type: integer
+ *           nullable: true
+ *           description: Montant TTC en centimes
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -108,11 +371,64 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *       example:
  *         id: 1
  *         userId: 1
- *         bookId: 2
+ *         bookId: null
+ *         items:
+ *           - id: 1
+ *             bookId: 2
+ *             quantity: 1
+ *             unitPrice: 890
+ *           - id: 2
+ *             bookId: 5
+ *             quantity: 2
+ *             unitPrice: 750
  *         dateCommande: 2023-01-15T10:30:00Z
  *         status: En cours
+ *         stockReserved: true
+ *         stockReservation: reservation-0b9e4f1c-3c1e-4d6a-9f5e-2a7d8c6b1e40
+ *         currency: EUR
+ *         subtotal: 2390
+ *         tax: 131
+ *         total: 2521
  *         createdAt: 2023-01-15T10:30:00Z
  *         updatedAt: 2023-01-15T10:30:00Z
+ *     OrderItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: ID auto-généré de la ligne
+ *         bookId:
+ *           type: integer
+ *           description: ID du livre commandé
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           description: Nombre d'exemplaires
+ *         unitPrice:
+ *           type: integer
+ *           nullable: true
+ *           description: Prix unitaire hors taxes en centimes, figé à la création de la commande
+ *         bookDeletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Date de suppression du livre du catalogue, null tant que le livre existe
+ *         deletedBookTitle:
+ *           type: string
+ *           nullable: true
+ *           description: Titre du livre au moment de sa suppression du catalogue
+ *     OrderItemDetails:
+ *       allOf:
+ *         - $ref: '#/components/schemas/OrderItem'
+ *         - type: object
+ *           properties:
+ *             lineTotal:
+ *               type: integer
+ *               nullable: true
+ *               description: Prix unitaire × quantité, en centimes
+ *             bookTitle:
+ *               type: string
+ *               description: Titre du livre (récupéré depuis le service Livres)
  *     OrderDetails:
  *       allOf:
  *         - $ref: '#/components/schemas/Order'
@@ -121,34 +437,443 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *             userName:
  *               type: string
  *               description: Nom de l'utilisateur (récupéré depuis le service Utilisateurs)
- *             bookTitle:
- *               type: string
- *               description: Titre du livre (récupéré depuis le service Livres)
+ *             items:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OrderItemDetails'
  *           example:
  *             id: 1
  *             userId: 1
- *             bookId: 2
+ *             bookId: null
  *             dateCommande: 2023-01-15T10:30:00Z
  *             status: En cours
+ *             stockReserved: true
+ *             stockReservation: reservation-0b9e4f1c-3c1e-4d6a-9f5e-2a7d8c6b1e40
+ *             currency: EUR
+ *             subtotal: 2390
+ *             tax: 131
+ *             total: 2521
  *             createdAt: 2023-01-15T10:30:00Z
  *             updatedAt: 2023-01-15T10:30:00Z
  *             userName: Test User
- *             bookTitle: The Great Gatsby
- *     NewOrder:
+ *             items:
+ *               - id: 1
+ *                 bookId: 2
+ *                 quantity: 1
+ *                 unitPrice: 890
+ *                 lineTotal: 890
+ *                 bookTitle: The Great Gatsby
+ *               - id: 2
+ *                 bookId: 5
+ *                 quantity: 2
+ *                 unitPrice: 750
+ *                 lineTotal: 1500
+ *                 bookTitle: L'Étranger
+ *     StatusUpdate:
  *       type: object
  *       required:
- *         - userId
- *         - bookId
+ *         - status
  *       properties:
- *         userId:
+ *         status:
+ *           type: string
+ *           enum: [Payée, Expédiée, Livrée, Annulée]
+ *       example:
+ *         status: Payée
+ *     CancellationRequest:
+ *       type: object
+ *       required:
+ *         - reason
+ *       properties:
+ *         reason:
+ *           type: string
+ *           maxLength: 500
+ *           description: Motif de l'annulation
+ *       example:
+ *         reason: Commande passée par erreur
+ *     OrderCancellation:
+ *       type: object
+ *       properties:
+ *         orderId:
  *           type: integer
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         fromStatus:
+ *           type: string
+ *           description: Statut de la commande au moment de l'annulation
+ *         cancelledBy:
+ *           type: integer
+ *           description: ID de l'utilisateur à l'origine de l'annulation
+ *         step:
+ *           type: string
+ *           enum: [release-stock, mark-refund, done]
+ *           description: Prochaine action de compensation à exécuter (done lorsque toutes ont réussi)
+ *         attempts:
+ *           type: integer
+ *           description: Échecs de l'étape en cours
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     CancellationResult:
+ *       type: object
+ *       properties:
+ *         order:
+ *           $ref: '#/components/schemas/Order'
+ *         cancellation:
+ *           $ref: '#/components/schemas/OrderCancellation'
+ *     StatusHistoryEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         fromStatus:
+ *           type: string
+ *           nullable: true
+ *           description: Statut précédent (null pour la création de la commande)
+ *         toStatus:
+ *           type: string
+ *           description: Nouveau statut
+ *         changedBy:
+ *           type: integer
+ *           nullable: true
+ *           description: ID de l'utilisateur à l'origine de la transition
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Date de la transition
+ *       example:
+ *         id: 2
+ *         orderId: 1
+ *         fromStatus: En cours
+ *         toStatus: Payée
+ *         changedBy: 4
+ *         changedAt: 2023-01-15T11:00:00Z
+ *     NewOrder:
+ *       type: object
+ *       description: |
+ *         L'utilisateur de la commande est celui du jeton d'accès.
+ *         Fournir les lignes dans items ; bookId seul reste accepté et équivaut à une ligne de quantité 1.
+ *         Chaque ligne désigne son livre par bookId ou par isbn.
+ *       properties:
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: object
+ *             properties:
+ *               bookId:
+ *                 type: integer
+ *               isbn:
+ *                 type: string
+ *                 description: ISBN-10 ou ISBN-13 du livre, à la place de bookId
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
  *         bookId:
  *           type: integer
+ *           deprecated: true
  *       example:
- *         userId: 1
- *         bookId: 2
+ *         items:
+ *           - bookId: 2
+ *             quantity: 1
+ *           - isbn: 978-2-07-036002-4
+ *             quantity: 2
  */
 
+// --- Helpers --- //
+
+// Validates the lines of a new order. Each line names its book by bookId or by isbn, normalised to ISBN-13 (it is
+// resolved to a bookId by resolveIsbns). A lone bookId (former request format) is one line of quantity 1.
+// Lines for the same book are merged. A request without a JSON body leaves req.body undefined: it has no lines.
+const parseOrderItems = (body) => {
+  const lines = Array.isArray(body?.items) ? body.items : (body?.bookId ? [{ bookId: body.bookId }] : null);
+
+  if (!lines || lines.length === 0) {
+    return { error: 'Au moins une ligne de commande (items) est requise' };
+  }
+
+  const quantities = new Map(); // bookId (number) or ISBN (string) -> quantity
+  for (const line of lines) {
+    const byIsbn = line?.isbn !== undefined && line?.isbn !== null;
+    const book = byIsbn ? normalizeIsbn(String(line.isbn)) : Number(line?.bookId);
+    const quantity = line?.quantity === undefined ? 1 : Number(line.quantity);
+    if (byIsbn && line.bookId !== undefined) {
+      return { error: 'Une ligne ne peut pas avoir à la fois un bookId et un isbn' };
+    }
+    if (byIsbn && !book) {
+      return { error: `ISBN invalide : ${line.isbn}` };
+    }
+    if (!byIsbn && (!Number.isInteger(book) || book < 1)) {
+      return { error: 'Chaque ligne doit avoir un bookId entier positif ou un isbn' };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: 'La quantité de chaque ligne doit être un entier positif' };
+    }
+    quantities.set(book, (quantities.get(book) || 0) + quantity);
+  }
+
+  return {
+    items: [...quantities].map(([book, quantity]) => (typeof book === 'string' ? { isbn: book, quantity } : { bookId: book, quantity }))
+  };
+};
+
+// Snapshots the current price of each line and computes the order amounts.
+// Returns an error message when a book has no price or when the books are sold in different currencies.
+const priceOrderItems = (items, booksById) => {
+  const unpriced = items.filter(({ bookId }) => booksById.get(bookId).price == null);
+  if (unpriced.length > 0) {
+    return { error: `Livre(s) avec ID ${unpriced.map(i => i.bookId).join(', ')} sans prix, pas encore en vente.` };
+  }
+  const currencies = new Set(items.map(({ bookId }) => booksById.get(bookId).currency));
+  if (currencies.size > 1) {
+    return { error: 'Tous les livres d\'une commande doivent être vendus dans la même devise.' };
+  }
+
+  const pricedItems = items.map(item => ({ ...item, unitPrice: booksById.get(item.bookId).price }));
+  const subtotal = pricedItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  const tax = Math.round(subtotal * TAX_RATE);
+  return {
+    items: pricedItems,
+    amounts: { currency: [...currencies][0], subtotal, tax, total: subtotal + tax }
+  };
+};
+
+// Batch lookups: ids are sent BATCH_SIZE at a time (the limit of the batch endpoints), so in practice
+// a request makes a single call per service. Each returns a Map from id (or the given key) to the fetched entity.
+const BATCH_SIZE = 500;
+
+const fetchByIds = async (client, url, ids, extractList, { param = 'ids', keyOf = entity => entity.id, headers } = {}) => {
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    chunks.push(ids.slice(i, i + BATCH_SIZE));
+  }
+  const responses = await Promise.all(chunks.map(chunk => client.get(url, { params: { [param]: chunk.join(',') }, headers })));
+  return new Map(responses.flatMap(response => extractList(response.data)).map(entity => [keyOf(entity), entity]));
+};
+
+const fetchUsers = (ids) => fetchByIds(utilisateursClient, '/users', ids, data => data, { headers: internalHeaders() });
+const fetchBooks = (ids) => fetchByIds(livresClient, '/livres', ids, page => page.data);
+const fetchBooksByIsbn = (isbns) => fetchByIds(livresClient, '/livres', isbns, page => page.data, {
+  param: 'isbns',
+  keyOf: book => book.isbn
+});
+
+// Fetches the books of the order lines, resolving the lines given by ISBN to their bookId (lines that turn out
+// to be the same book are merged). Returns the lines, the books by id and the ISBNs unknown to Service Livres.
+const fetchOrderedBooks = async (lines) => {
+  const isbns = lines.filter(line => line.isbn).map(line => line.isbn);
+  const booksByIsbn = isbns.length > 0 ? await fetchBooksByIsbn(isbns) : new Map();
+  const unknownIsbns = isbns.filter(isbn => !booksByIsbn.has(isbn));
+
+  const quantities = new Map();
+  for (const { bookId, isbn, quantity } of lines) {
+    const id = isbn ? booksByIsbn.get(isbn)?.id : bookId;
+    if (id !== undefined) quantities.set(id, (quantities.get(id) || 0) + quantity);
+  }
+  const items = [...quantities].map(([bookId, quantity]) => ({ bookId, quantity }));
+
+  const booksById = new Map([...booksByIsbn.values()].map(book => [book.id, book]));
+  const otherIds = items.map(item => item.bookId).filter(id => !booksById.has(id));
+  if (otherIds.length > 0) {
+    for (const [id, book] of await fetchBooks(otherIds)) booksById.set(id, book);
+  }
+  return { items, booksById, unknownIsbns };
+};
+
+// Adds the user name and the title of every ordered book, falling back to defaults when a service fails.
+// Users and books are deduplicated across all orders and fetched with one batch call per service.
+const enrichOrders = async (orders) => {
+  const plainOrders = orders.map(order => order.get({ plain: true }));
+  const userIds = [...new Set(plainOrders.map(order => order.userId))];
+  const bookIds = [...new Set(plainOrders.flatMap(order => order.items.map(item => item.bookId)))];
+
+  const [users, books] = await Promise.all([
+    fetchUsers(userIds).catch(err => {
+       console.error(`Failed to fetch users ${userIds.join(', ')}:`, err.response?.status);
+       return new Map(); // Gracefully handle service error
+    }),
+    fetchBooks(bookIds).catch(err => {
+       console.error(`Failed to fetch books ${bookIds.join(', ')}:`, err.response?.status);
+       return new Map(); // Gracefully handle service error
+    })
+  ]);
+
+  return plainOrders.map(order => ({
+    ...order,
+    userName: users.get(order.userId)?.name || "Utilisateur inconnu",
+    items: order.items.map(item => ({
+      ...item,
+      lineTotal: item.unitPrice == null ? null : item.unitPrice * item.quantity,
+      bookTitle: books.get(item.bookId)?.title || item.deletedBookTitle || "Livre inconnu"
+    }))
+  }));
+};
+
+// Answers 503 when another service is down, timed out or refused by its circuit breaker, so the
+// client knows it may retry later, and 500 for any other unexpected error
+const sendDependencyError = (res, error, message) => {
+  if (isServiceFailure(error)) {
+    return res.status(503).send(`${message} Service temporairement indisponible, veuillez réessayer.`);
+  }
+  return res.status(500).send(message);
+};
+
+// Reserves (or releases) the copies of the given lines in service-livres. service-livres applies a reservation or
+// a release only once per reference, so these calls are retried like GETs: one that timed out may have been applied.
+const reserveStock = (items, reference) =>
+  livresClient.post('/livres/stock/reserve', { items, reference }, { headers: internalHeaders(), idempotent: true });
+const releaseStock = (items, reference) =>
+  livresClient.post('/livres/stock/release', { items, reference }, { headers: internalHeaders(), idempotent: true });
+
+// --- Cancellation saga --- //
+// Cancelling an order changes its status at once, then runs compensating actions, here and in the other
+// services. Each action can safely run again, and the next one to run is stored in OrderCancellation.step:
+// a cancellation stopped by a failure or a crash is resumed where it stopped.
+const CANCELLATION_STEPS = ['release-stock', 'mark-refund'];
+const CANCELLATION_DONE = 'done';
+const CANCELLATION_RETRY_INTERVAL = 30 * 1000; // ms between two runs of the unfinished cancellations
+const MAX_CANCELLATION_REASON_LENGTH = 500;
+
+const COMPENSATIONS = {
+  // Gives back the copies held for the order, under the reference of their reservation: service-livres releases
+  // a reservation at most once, whoever asks for it
+  'release-stock': async (order) => {
+    if (!order.stockReserved) return;
+    const items = await OrderItem.findAll({ where: { orderId: order.id } });
+    const reference = order.stockReservation ?? `commande-${order.id}-annulation`;
+    await releaseStock(items.map(({ bookId, quantity }) => ({ bookId, quantity })), reference);
+    await order.update({ stockReserved: false });
+    console.log(`Stock released for order ${order.id}`);
+  },
+  // A paid order is owed a refund of its total; the unique orderId keeps it to one refund per order
+  'mark-refund': async (order, cancellation) => {
+    if (cancellation.fromStatus !== ORDER_STATUS.PAYEE || order.total == null) return;
+    await Refund.findOrCreate({ where: { orderId: order.id }, defaults: { amount: order.total, currency: order.currency } });
+    console.log(`Refund of ${order.total} ${order.currency} owed for order ${order.id}`);
+  }
+};
+
+const runningCancellations = new Set(); // Orders whose saga is running in this process
+
+// Runs the remaining steps of a cancellation, stopping at the first failure (retried later)
+const runCancellation = async (cancellation) => {
+  if (runningCancellations.has(cancellation.orderId)) return;
+  runningCancellations.add(cancellation.orderId);
+  try {
+    const order = await Order.findByPk(cancellation.orderId);
+    while (cancellation.step !== CANCELLATION_DONE) {
+      try {
+        await COMPENSATIONS[cancellation.step](order, cancellation);
+      } catch (error) {
+        const message = error.response ? `HTTP ${error.response.status}` : error.message;
+        console.error(`Cancellation of order ${order.id}: step ${cancellation.step} failed (${message}), will be retried.`);
+        await cancellation.update({ attempts: cancellation.attempts + 1, lastError: message });
+        return;
+      }
+      const next = CANCELLATION_STEPS[CANCELLATION_STEPS.indexOf(cancellation.step) + 1] || CANCELLATION_DONE;
+      await cancellation.update({
+        step: next,
+        attempts: 0,
+        lastError: null,
+        completedAt: next === CANCELLATION_DONE ? new Date() : null
+      });
+    }
+    console.log(`Cancellation of order ${order.id} completed.`);
+  } finally {
+    runningCancellations.delete(cancellation.orderId);
+  }
+};
+
+// Cancels the order and runs its compensating actions. Returns the cancellation, or null when the status of
+// the order changed in the meantime.
+const cancelOrder = async (order, { reason, cancelledBy }) => {
+  const fromStatus = order.status;
+  const cancellation = await sequelize.transaction(async (transaction) => {
+    // Only cancel if nobody changed the status in the meantime
+    const [count] = await Order.update(
+      { status: ORDER_STATUS.ANNULEE },
+      { where: { id: order.id, status: fromStatus }, transaction }
+    );
+    if (count === 0) return null;
+    await OrderStatusHistory.create({
+      orderId: order.id,
+      fromStatus,
+      toStatus: ORDER_STATUS.ANNULEE,
+      changedBy: cancelledBy,
+      changedAt: new Date()
+    }, { transaction });
+    await recordEvent('OrderStatusChanged', {
+      orderId: order.id,
+      userId: order.userId,
+      fromStatus,
+      toStatus: ORDER_STATUS.ANNULEE,
+      changedBy: cancelledBy,
+      reason
+    }, { transaction });
+    // Stored with the status change, so the compensating actions are run even if the service stops now
+    return OrderCancellation.create({
+      orderId: order.id,
+      reason,
+      fromStatus,
+      cancelledBy,
+      step: CANCELLATION_STEPS[0]
+    }, { transaction });
+  });
+
+  if (cancellation) {
+    console.log(`Order ${order.id} cancelled (was ${fromStatus}) by user ${cancelledBy}`);
+    await runCancellation(cancellation);
+  }
+  return cancellation;
+};
+
+// Resumes the cancellations left unfinished by a failure or a crash, at startup and then periodically
+const startCancellationRecovery = () => {
+  const resume = async () => {
+    try {
+      const unfinished = await OrderCancellation.findAll({ where: { completedAt: null }, logging: false });
+      for (const cancellation of unfinished) {
+        await runCancellation(cancellation);
+      }
+    } catch (error) {
+      console.error('Resuming the order cancellations failed:', error.message);
+    }
+    setTimeout(resume, CANCELLATION_RETRY_INTERVAL);
+  };
+  resume();
+};
+
+// --- Event handlers --- //
+// Events are delivered at least once, so handlers must cope with seeing the same event twice
+
+// The lines of a deleted book are flagged, with its title, so that the orders keep showing what was bought.
+// Open orders are also reported so that staff can deal with them. Only the lines not flagged yet are updated,
+// so an event delivered again changes nothing.
+const handleBookDeleted = async ({ occurredAt, data: { bookId, title } }) => {
+  const [flagged] = await OrderItem.update(
+    { bookDeletedAt: occurredAt, deletedBookTitle: title },
+    { where: { bookId, bookDeletedAt: null }, logging: false }
+  );
+  if (flagged === 0) return;
+
+  const openOrders = await Order.findAll({
+    attributes: ['id'],
+    where: { status: [ORDER_STATUS.EN_COURS, ORDER_STATUS.PAYEE] },
+    include: [{ model: OrderItem, as: 'items', attributes: [], where: { bookId } }],
+    logging: false
+  });
+  if (openOrders.length > 0) {
+    console.log(`Book ${bookId} (${title}) was deleted while still in open order(s): ${openOrders.map(order => order.id).join(', ')}`);
+  }
+};
+
 // --- Routes --- //
 
 // Basic route
@@ -161,7 +886,18 @@ app.get('/', (req, res) => {
  * /commandes:
  *   post:
  *     summary: Crée une nouvelle commande
+ *     description: Avec un en-tête Idempotency-Key, une requête répétée avec la même clé (par exemple après un délai dépassé) renvoie la réponse de la première au lieu de créer une seconde commande.
  *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         required: false
+ *         description: Clé unique choisie par le client pour cette commande, à renvoyer à l'identique en cas de nouvelle tentative. La réponse rejouée porte l'en-tête Idempotent-Replayed.
  *     requestBody:
  *       required: true
  *       content:
@@ -176,53 +912,124 @@ app.get('/', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Données manquantes (userId ou bookId)
+ *         description: Lignes de commande manquantes ou invalides, ou en-tête Idempotency-Key invalide
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Adresse email du compte non vérifiée, ou compte supprimé
  *       404:
- *         description: Utilisateur ou Livre non trouvé
+ *         description: Utilisateur ou un des livres (par ID ou ISBN) non trouvé
+ *       409:
+ *         description: Stock insuffisant pour au moins une ligne (détail par livre dans unavailable), livre sans prix ou devises différentes, ou requête avec la même clé d'idempotence en cours
+ *       422:
+ *         description: Clé d'idempotence déjà utilisée pour une requête différente
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
- *         description: Erreur serveur ou Erreur lors de la communication avec un autre service
+ *         description: Erreur serveur
+ *       503:
+ *         description: Service Utilisateurs ou Livres indisponible (délai dépassé ou circuit ouvert), la requête peut être retentée
  */
-app.post('/commandes', async (req, res) => {
-  const { userId, bookId } = req.body;
+app.post('/commandes', writeLimiter, authenticate, idempotent, async (req, res) => {
+  // The order always belongs to the authenticated caller, never to a userId sent in the body
+  const userId = req.user.id;
+  const { items: lines, error: itemsError } = parseOrderItems(req.body);
 
-  if (!userId || !bookId) {
-    return res.status(400).send('userId et bookId sont requis');
+  if (itemsError) {
+    return res.status(400).send(itemsError);
   }
 
   try {
-    // 1. Verify User exists by calling Service Utilisateurs
+    // 1. Verify User exists and has confirmed their email address by calling Service Utilisateurs
     try {
-      await axios.get(`${UTILISATEURS_SERVICE_URL}/users/${userId}`);
+      const { data: user } = await utilisateursClient.get(`/users/${userId}`, { headers: internalHeaders() });
+      if (user.deletedAt) {
+        return res.status(403).send('Ce compte a été supprimé.');
+      }
+      if (!user.emailVerifiedAt) {
+        return res.status(403).send('Adresse email non vérifiée : confirmez-la avec le lien reçu par email avant de passer commande.');
+      }
       console.log(`User ${userId} verified successfully.`);
     } catch (error) {
-      console.error(`Error verifying user ${userId}:`, error.response?.status, error.response?.data);
+      console.error(`Error verifying user ${userId}:`, error.response?.status || error.message, error.response?.data);
       if (error.response && error.response.status === 404) {
         return res.status(404).send(`Utilisateur avec ID ${userId} non trouvé.`);
       }
-      return res.status(500).send('Erreur lors de la vérification de l\'utilisateur.');
+      return sendDependencyError(res, error, 'Erreur lors de la vérification de l\'utilisateur.');
     }
 
-    // 2. Verify Book exists by calling Service Livres
-    let bookDetails;
+    // 2. Verify every Book exists by calling Service Livres (and find the books ordered by ISBN)
+    let items, booksById, unknownIsbns;
     try {
-      const bookResponse = await axios.get(`${LIVRES_SERVICE_URL}/livres/${bookId}`);
-      bookDetails = bookResponse.data; // Store book details if needed later
-      console.log(`Book ${bookId} verified successfully: ${bookDetails.title}`);
+      ({ items, booksById, unknownIsbns } = await fetchOrderedBooks(lines));
     } catch (error) {
-      console.error(`Error verifying book ${bookId}:`, error.response?.status, error.response?.data);
-      if (error.response && error.response.status === 404) {
-        return res.status(404).send(`Livre avec ID ${bookId} non trouvé.`);
+      console.error('Error verifying books:', error.response?.status || error.message, error.response?.data);
+      return sendDependencyError(res, error, 'Erreur lors de la vérification des livres.');
+    }
+    if (unknownIsbns.length > 0) {
+      return res.status(404).send(`Livre(s) avec ISBN ${unknownIsbns.join(', ')} non trouvé(s).`);
+    }
+    const missingBooks = items.filter(item => !booksById.has(item.bookId)).map(item => item.bookId);
+    if (missingBooks.length > 0) {
+      return res.status(404).send(`Livre(s) avec ID ${missingBooks.join(', ')} non trouvé(s).`);
+    }
+    console.log(`Books ${items.map(i => i.bookId).join(', ')} verified successfully.`);
+
+    // 3. Snapshot the current prices, so later price changes do not alter this order
+    const { items: pricedItems, amounts, error: pricingError } = priceOrderItems(items, booksById);
+    if (pricingError) {
+      return res.status(409).send(pricingError);
+    }
+
+    // 4. Reserve the copies in Service Livres (all lines or none), under a reference of our own, kept with the
+    // order: the reservation can be sent again, and the copies given back, without ever counting them twice
+    const reservation = `reservation-${crypto.randomUUID()}`;
+    try {
+      await reserveStock(items, reservation);
+    } catch (error) {
+      console.error('Error reserving stock:', error.response?.status || error.message, error.response?.data);
+      if (error.response && error.response.status === 409) {
+        return res.status(409).json(error.response.data);
       }
-      return res.status(500).send('Erreur lors de la vérification du livre.');
+      return sendDependencyError(res, error, 'Erreur lors de la réservation du stock.');
     }
 
-    // 3. Create Order in the database
-    const newOrder = await Order.create({
-      userId,
-      bookId,
-      dateCommande: new Date(),
-      status: 'En cours' // Initial status
-    });
+    // 5. Create Order and its lines in the database, together with the first history entry
+    let newOrder;
+    try {
+      newOrder = await sequelize.transaction(async (transaction) => {
+        const order = await Order.create({
+          userId,
+          dateCommande: new Date(),
+          status: ORDER_STATUS.EN_COURS, // Initial status
+          stockReserved: true,
+          stockReservation: reservation,
+          ...amounts,
+          items: pricedItems
+        }, { include: [{ model: OrderItem, as: 'items' }], transaction });
+        await OrderStatusHistory.create({
+          orderId: order.id,
+          fromStatus: null,
+          toStatus: order.status,
+          changedBy: userId,
+          changedAt: order.dateCommande
+        }, { transaction });
+        await recordEvent('OrderCreated', {
+          orderId: order.id,
+          userId,
+          status: order.status,
+          items: pricedItems,
+          ...amounts
+        }, { transaction });
+        return order;
+      });
+    } catch (error) {
+      // The order does not exist, so the copies reserved for it must be given back
+      await releaseStock(items, reservation).catch(releaseError => {
+        console.error('Failed to release stock after order creation failure:', releaseError.response?.status);
+      });
+      throw error;
+    }
 
     console.log(`Order created successfully: ID ${newOrder.id}`);
     res.status(201).json(newOrder);
@@ -241,8 +1048,17 @@ app.post('/commandes', async (req, res) => {
  * @swagger
  * /commandes:
  *   get:
- *     summary: Récupère la liste de toutes les commandes
+ *     summary: Récupère la liste des commandes (les clients ne voient que les leurs, le personnel voit tout)
+ *     description: Les autres services peuvent aussi l'appeler avec la clé interne (en-tête X-Internal-Api-Key), userId est alors obligatoire.
  *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Ne renvoie que les commandes de cet utilisateur (un client ne peut indiquer que son propre ID)
  *     responses:
  *       200:
  *         description: Liste des commandes
@@ -252,49 +1068,40 @@ app.post('/commandes', async (req, res) => {
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/OrderDetails'
+ *       400:
+ *         description: userId invalide, ou manquant pour un appel interne
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Un client ne peut pas consulter les commandes d'un autre utilisateur
  *       500:
  *         description: Erreur serveur
  */
-app.get('/commandes', async (req, res) => {
+app.get('/commandes', authenticateUserOrService, async (req, res) => {
+  let userId;
+  if (req.query.userId !== undefined) {
+    userId = Number(req.query.userId);
+    if (!Number.isInteger(userId) || userId < 1) {
+      return res.status(400).send('userId doit être un entier positif');
+    }
+  }
+  if (req.isService && userId === undefined) {
+    return res.status(400).send('userId est requis pour un appel interne');
+  }
+  // Customers only ever see their own orders
+  if (!req.isService && !isStaff(req.user)) {
+    if (userId !== undefined && userId !== req.user.id) {
+      return res.status(403).send('Accès refusé : ces commandes appartiennent à un autre utilisateur.');
+    }
+    userId = req.user.id;
+  }
+
   try {
-    const orders = await Order.findAll();
+    const where = userId === undefined ? {} : { userId };
+    const orders = await Order.findAll({ where, include: [{ model: OrderItem, as: 'items' }] });
 
     // Enrich each order with user and book details
-    const enrichedOrders = await Promise.all(
-      orders.map(async (order) => {
-        let userName = "Utilisateur inconnu";
-        let bookTitle = "Livre inconnu";
-
-        try {
-          const [userResponse, bookResponse] = await Promise.all([
-            axios.get(`${UTILISATEURS_SERVICE_URL}/users/${order.userId}`).catch(err => {
-               console.error(`List: Failed to fetch user ${order.userId}:`, err.response?.status); 
-               return null;
-            }),
-            axios.get(`${LIVRES_SERVICE_URL}/livres/${order.bookId}`).catch(err => {
-               console.error(`List: Failed to fetch book ${order.bookId}:`, err.response?.status); 
-               return null;
-            })
-          ]);
-
-          if (userResponse?.data) {
-             userName = userResponse.data.name;
-          }
-          if (bookResponse?.data) {
-              bookTitle = bookResponse.data.title;
-          }
-        } catch (fetchError) {
-          console.error(`List: Error fetching related details for order ${order.id}`, fetchError);
-          // Continue with default names
-        }
-
-        return {
-          ...order.get({ plain: true }),
-          userName,
-          bookTitle
-        };
-      })
-    );
+    const enrichedOrders = await enrichOrders(orders);
 
     res.json(enrichedOrders);
   } catch (error) {
@@ -307,8 +1114,10 @@ app.get('/commandes', async (req, res) => {
  * @swagger
  * /commandes/{id}:
  *   get:
- *     summary: Récupère les détails d'une commande spécifique par son ID
+ *     summary: Récupère les détails d'une commande spécifique par son ID (propriétaire ou personnel)
  *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -325,89 +1134,376 @@ app.get('/commandes', async (req, res) => {
  *               $ref: '#/components/schemas/OrderDetails'
  *       400:
  *         description: ID de commande invalide
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Commande non trouvée
  *       500:
  *         description: Erreur serveur
  */
-app.get('/commandes/:id', async (req, res) => {
+app.get('/commandes/:id', authenticate, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id, 10);
     if (isNaN(orderId)) {
         return res.status(400).send('ID de commande invalide.');
     }
 
-    const order = await Order.findByPk(orderId);
+    const order = await Order.findByPk(orderId, { include: [{ model: OrderItem, as: 'items' }] });
+
+    if (order && order.userId !== req.user.id && !isStaff(req.user)) {
+      return res.status(403).send('Accès refusé : cette commande appartient à un autre utilisateur.');
+    }
 
     if (order) {
-      // Fetch user and book details in parallel
-      let userName = "Utilisateur inconnu";
-      let bookTitle = "Livre inconnu";
+      const [enrichedOrder] = await enrichOrders([order]);
+      res.json(enrichedOrder);
+    } else {
+      res.status(404).send('Commande non trouvée');
+    }
+  } catch (error) {
+    console.error(`Erreur lors de la récupération de la commande ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la récupération de la commande.');
+  }
+});
 
-      try {
-        const [userResponse, bookResponse] = await Promise.all([
-          axios.get(`${UTILISATEURS_SERVICE_URL}/users/${order.userId}`).catch(err => {
-             console.error(`Failed to fetch user ${order.userId}:`, err.response?.status); 
-             return null; // Gracefully handle user not found or service error
-          }),
-          axios.get(`${LIVRES_SERVICE_URL}/livres/${order.bookId}`).catch(err => {
-             console.error(`Failed to fetch book ${order.bookId}:`, err.response?.status); 
-             return null; // Gracefully handle book not found or service error
-          })
-        ]);
-
-        if (userResponse?.data) {
-           userName = userResponse.data.name;
-        }
-        if (bookResponse?.data) {
-            bookTitle = bookResponse.data.title;
-        }
-
-      } catch (fetchError) {
-        // This catch block might be redundant due to individual catches above,
-        // but included for safety.
-        console.error("Error fetching related details for order", orderId, fetchError);
-        // We still have the core order details, so we can proceed but log the issue.
-      }
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: État du service et des circuits vers les services dont il dépend
+ *     tags: [Supervision]
+ *     responses:
+ *       200:
+ *         description: État des disjoncteurs (closed, open ou half-open) par service
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: ok
+ *               dependencies:
+ *                 service-livres:
+ *                   state: closed
+ *                   failures: 0
+ *                   openedAt: null
+ *                 service-utilisateurs:
+ *                   state: open
+ *                   failures: 5
+ *                   openedAt: 2023-01-15T10:30:00Z
+ */
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    dependencies: {
+      'service-livres': livresClient.getState(),
+      'service-utilisateurs': utilisateursClient.getState()
+    }
+  });
+});
 
-      // Combine data
-      const enrichedOrder = {
-        ...order.get({ plain: true }), // Convert Sequelize object to plain JS object
-        userName,
-        bookTitle
-      };
+/**
+ * @swagger
+ * /commandes/{id}/status:
+ *   put:
+ *     summary: Fait passer une commande à un nouveau statut
+ *     description: |
+ *       Cycle de vie : En cours → Payée → Expédiée → Livrée. Une commande En cours ou Payée peut être Annulée.
+ *       Le personnel peut effectuer toute transition autorisée ; le propriétaire de la commande peut seulement l'annuler.
+ *       L'annulation remet en stock les exemplaires réservés, comme POST /commandes/{id}/annuler (sans motif).
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la commande
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StatusUpdate'
+ *     responses:
+ *       200:
+ *         description: Statut mis à jour (pour une annulation, toutes les actions de compensation ont réussi)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       202:
+ *         description: Commande annulée, des actions de compensation restent à retenter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: ID de commande ou statut invalide
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Commande non trouvée
+ *       409:
+ *         description: Transition interdite depuis le statut actuel
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.put('/commandes/:id/status', writeLimiter, authenticate, async (req, res) => {
+  const orderId = parseInt(req.params.id, 10);
+  const { status } = req.body ?? {}; // No body when the request is not sent as JSON
 
-      res.json(enrichedOrder);
+  if (isNaN(orderId)) {
+    return res.status(400).send('ID de commande invalide.');
+  }
+  if (status === undefined) {
+    return res.status(400).send('Le nouveau statut (status) est requis.');
+  }
+  if (!Object.values(ORDER_STATUS).includes(status)) {
+    return res.status(400).send(`Statut invalide (valeurs possibles : ${Object.values(ORDER_STATUS).join(', ')}).`);
+  }
+
+  try {
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      return res.status(404).send('Commande non trouvée');
+    }
+
+    // Customers may only cancel their own orders, every other transition is done by staff
+    const isOwnCancellation = order.userId === req.user.id && status === ORDER_STATUS.ANNULEE;
+    if (!isStaff(req.user) && !isOwnCancellation) {
+      return res.status(403).send('Accès refusé : droits insuffisants pour ce changement de statut.');
+    }
 
+    const fromStatus = order.status;
+    if (!STATUS_TRANSITIONS[fromStatus]?.includes(status)) {
+      return res.status(409).send(`Transition interdite : ${fromStatus} → ${status}.`);
+    }
+
+    // A cancellation goes through the same saga as POST /commandes/{id}/annuler, without a reason
+    let cancellation = null;
+    let updated;
+    if (status === ORDER_STATUS.ANNULEE) {
+      cancellation = await cancelOrder(order, { reason: null, cancelledBy: req.user.id });
+      updated = cancellation !== null;
     } else {
-      res.status(404).send('Commande non trouvée');
+      updated = await sequelize.transaction(async (transaction) => {
+        // Only update if nobody changed the status in the meantime
+        const [count] = await Order.update(
+          { status },
+          { where: { id: orderId, status: fromStatus }, transaction }
+        );
+        if (count === 0) return false;
+        await OrderStatusHistory.create({
+          orderId,
+          fromStatus,
+          toStatus: status,
+          changedBy: req.user.id,
+          changedAt: new Date()
+        }, { transaction });
+        await recordEvent('OrderStatusChanged', {
+          orderId,
+          userId: order.userId,
+          fromStatus,
+          toStatus: status,
+          changedBy: req.user.id
+        }, { transaction });
+        return true;
+      });
     }
+
+    if (!updated) {
+      return res.status(409).send('Le statut de la commande a été modifié entre-temps, veuillez réessayer.');
+    }
+
+    console.log(`Order ${orderId} status changed: ${fromStatus} -> ${status}`);
+    await order.reload();
+    // Like POST /commandes/{id}/annuler: 202 while compensating actions of the cancellation remain to be retried
+    res.status(cancellation && !cancellation.completedAt ? 202 : 200).json(order);
   } catch (error) {
-    console.error(`Erreur lors de la récupération de la commande ${req.params.id}:`, error);
-    // Fix for lint ID cdc1a65f - Use optional chaining
-    const status = error.response?.status || 500;
-    const message = error.response?.data?.message || 'Erreur serveur lors de la récupération de la commande.';
-    res.status(status).send(message);
+    console.error(`Erreur lors du changement de statut de la commande ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors du changement de statut de la commande.');
   }
 });
 
-// TODO: Add route to update order status (e.g., PUT /commandes/:id/status)
+/**
+ * @swagger
+ * /commandes/{id}/annuler:
+ *   post:
+ *     summary: Annule une commande en cours ou payée (propriétaire ou personnel)
+ *     description: |
+ *       La commande passe aussitôt au statut Annulée, puis les actions de compensation sont exécutées : remise en stock
+ *       des exemplaires réservés dans le service Livres, puis remboursement à effectuer si la commande était payée.
+ *       Une action qui échoue (service Livres indisponible, par exemple) est retentée automatiquement, y compris après
+ *       un redémarrage du service.
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la commande
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationRequest'
+ *     responses:
+ *       200:
+ *         description: Commande annulée, toutes les actions de compensation ont réussi
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CancellationResult'
+ *       202:
+ *         description: Commande annulée, des actions de compensation restent à retenter (voir step et lastError)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CancellationResult'
+ *       400:
+ *         description: ID de commande invalide ou motif manquant
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Commande non trouvée
+ *       409:
+ *         description: La commande ne peut plus être annulée (expédiée, livrée ou déjà annulée), ou son statut a changé entre-temps
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/commandes/:id/annuler', writeLimiter, authenticate, async (req, res) => {
+  const orderId = parseInt(req.params.id, 10);
+  const { reason } = req.body ?? {};
+
+  if (isNaN(orderId)) {
+    return res.status(400).send('ID de commande invalide.');
+  }
+  if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_CANCELLATION_REASON_LENGTH) {
+    return res.status(400).send(`Un motif d'annulation de 1 à ${MAX_CANCELLATION_REASON_LENGTH} caractères est requis.`);
+  }
+
+  try {
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      return res.status(404).send('Commande non trouvée');
+    }
+    if (order.userId !== req.user.id && !isStaff(req.user)) {
+      return res.status(403).send('Accès refusé : cette commande appartient à un autre utilisateur.');
+    }
+    if (!STATUS_TRANSITIONS[order.status]?.includes(ORDER_STATUS.ANNULEE)) {
+      return res.status(409).send(`La commande ne peut plus être annulée (statut : ${order.status}).`);
+    }
+
+    const cancellation = await cancelOrder(order, { reason: reason.trim(), cancelledBy: req.user.id });
+    if (!cancellation) {
+      return res.status(409).send('Le statut de la commande a été modifié entre-temps, veuillez réessayer.');
+    }
+
+    // Reloaded so that the fields still empty (completedAt of an unfinished cancellation) are sent as null
+    await order.reload();
+    await cancellation.reload();
+    res.status(cancellation.completedAt ? 200 : 202).json({ order, cancellation });
+  } catch (error) {
+    console.error(`Erreur lors de l'annulation de la commande ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de l\'annulation de la commande.');
+  }
+});
+
+/**
+ * @swagger
+ * /commandes/{id}/historique:
+ *   get:
+ *     summary: Récupère l'historique des statuts d'une commande (propriétaire ou personnel)
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la commande
+ *     responses:
+ *       200:
+ *         description: Transitions de statut, de la plus ancienne à la plus récente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StatusHistoryEntry'
+ *       400:
+ *         description: ID de commande invalide
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Commande non trouvée
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/commandes/:id/historique', authenticate, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id, 10);
+    if (isNaN(orderId)) {
+      return res.status(400).send('ID de commande invalide.');
+    }
+
+    const order = await Order.findByPk(orderId);
+    if (!order) {
+      return res.status(404).send('Commande non trouvée');
+    }
+    if (order.userId !== req.user.id && !isStaff(req.user)) {
+      return res.status(403).send('Accès refusé : cette commande appartient à un autre utilisateur.');
+    }
+
+    const history = await OrderStatusHistory.findAll({
+      where: { orderId },
+      order: [['changedAt', 'ASC'], ['id', 'ASC']]
+    });
+    res.json(history);
+  } catch (error) {
+    console.error(`Erreur lors de la récupération de l'historique de la commande ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la récupération de l\'historique de la commande.');
+  }
+});
 
-// Start server and sync database
+// Start server once the database schema is known to be up to date
 const startServer = async () => {
   try {
     await sequelize.authenticate();
     console.log('Connection to order database has been established successfully.');
-    // Use { force: true } cautiously in dev to drop and recreate tables
-    // await sequelize.sync({ force: true });
-    await sequelize.sync();
-    console.log('Order database synced.');
+    await assertMigrated();
+    console.log('Order database schema is up to date.');
+    startIdempotencyCleanup();
+    startCancellationRecovery();
+    const broker = await createBroker(config.broker);
+    startRelay(broker);
+    await broker.subscribe('service-commandes.book-deleted', ['BookDeleted'], handleBookDeleted);
+    console.log(`Publishing and consuming domain events through the ${config.broker.driver} broker.`);
     app.listen(port, () => {
       console.log(`Service Commandes listening at http://localhost:${port}`);
       console.log(`Swagger UI available at http://localhost:${port}/api-docs`);
     });
   } catch (error) {
     console.error('Unable to connect to the order database or start server:', error);
+    process.exit(1);
   }
 };
 
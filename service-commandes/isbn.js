@@ -0,0 +1,36 @@
+// ISBN validation and normalisation. Each service is built as its own Docker image, so this file is copied
+// as-is into every service that reads ISBNs: keep the copies identical.
+//
+// Books are stored and looked up by their ISBN-13: an ISBN-10 is converted, so both forms of the same
+// edition are recognised as the same book.
+
+// Check digit of the first 12 digits of an ISBN-13 (weights 1 and 3 alternately)
+const isbn13CheckDigit = (digits) => {
+  const sum = [...digits.slice(0, 12)].reduce((total, digit, index) => total + Number(digit) * (index % 2 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// An ISBN-10 is valid when the sum of its digits weighted 10 down to 1 is a multiple of 11 (X stands for 10)
+const isValidIsbn10 = (isbn) => {
+  const sum = [...isbn].reduce((total, char, index) => total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+  return sum % 11 === 0;
+};
+
+// Returns the ISBN-13 of an ISBN-10 or ISBN-13, written with or without hyphens and spaces (and an optional
+// "ISBN" prefix), or null when the value is not a valid ISBN
+const normalizeIsbn = (value) => {
+  if (typeof value !== 'string') return null;
+  const isbn = value.trim().replace(/^ISBN(-1[03])?:?/i, '').replace(/[\s-]/g, '').toUpperCase();
+
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    if (!isValidIsbn10(isbn)) return null;
+    const isbn13 = `978${isbn.slice(0, 9)}`;
+    return isbn13 + isbn13CheckDigit(isbn13);
+  }
+  if (/^97[89]\d{10}$/.test(isbn)) {
+    return isbn13CheckDigit(isbn) === isbn[12] ? isbn : null;
+  }
+  return null;
+};
+
+module.exports = { normalizeIsbn };
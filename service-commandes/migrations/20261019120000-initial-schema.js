@@ -0,0 +1,81 @@
+// Initial schema: the Orders, OrderStatusHistory and OrderItems tables as of the first versioned release.
+// Databases created earlier by sequelize.sync() may already have the tables, possibly without the columns
+// added later: those are added instead (older orders did not reserve stock and have no prices).
+// Orders placed before multi-line support only have Orders.bookId: the column is made nullable and each
+// of them gets a matching single order line, so they are read like any other order.
+const { DataTypes } = require('sequelize');
+
+const orderReference = {
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  references: { model: 'Orders', key: 'id' },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+};
+
+const TABLES = {
+  Orders: {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    userId: { type: DataTypes.INTEGER, allowNull: false },
+    bookId: { type: DataTypes.INTEGER, allowNull: true },
+    dateCommande: { type: DataTypes.DATE },
+    status: { type: DataTypes.STRING, defaultValue: 'En cours' },
+    stockReserved: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+    currency: { type: DataTypes.STRING(3), allowNull: true },
+    subtotal: { type: DataTypes.INTEGER, allowNull: true },
+    tax: { type: DataTypes.INTEGER, allowNull: true },
+    total: { type: DataTypes.INTEGER, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+  },
+  OrderStatusHistory: {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    orderId: orderReference,
+    fromStatus: { type: DataTypes.STRING, allowNull: true },
+    toStatus: { type: DataTypes.STRING, allowNull: false },
+    changedBy: { type: DataTypes.INTEGER, allowNull: true },
+    changedAt: { type: DataTypes.DATE, allowNull: false }
+  },
+  OrderItems: {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    orderId: orderReference,
+    bookId: { type: DataTypes.INTEGER, allowNull: false },
+    quantity: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+    unitPrice: { type: DataTypes.INTEGER, allowNull: true }
+  }
+};
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    for (const [table, columns] of Object.entries(TABLES)) {
+      if (!(await queryInterface.tableExists(table))) {
+        await queryInterface.createTable(table, columns);
+        continue;
+      }
+      const existingColumns = await queryInterface.describeTable(table);
+      for (const [name, definition] of Object.entries(columns)) {
+        if (!existingColumns[name]) {
+          await queryInterface.addColumn(table, name, definition);
+        }
+      }
+    }
+
+    const orderColumns = await queryInterface.describeTable('Orders');
+    if (!orderColumns.bookId.allowNull) {
+      await queryInterface.changeColumn('Orders', 'bookId', { type: DataTypes.INTEGER, allowNull: true });
+    }
+    // Identifiers are quoted for PostgreSQL, which would otherwise lowercase them
+    await queryInterface.sequelize.query(`
+      INSERT INTO "OrderItems" ("orderId", "bookId", quantity)
+      SELECT "Orders".id, "Orders"."bookId", 1 FROM "Orders"
+      WHERE "Orders"."bookId" IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM "OrderItems" WHERE "OrderItems"."orderId" = "Orders".id)
+    `);
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('OrderItems');
+    await queryInterface.dropTable('OrderStatusHistory');
+    await queryInterface.dropTable('Orders');
+  }
+};
@@ -0,0 +1,25 @@
+// Responses of POST /commandes stored under the Idempotency-Key sent by the client, to be replayed on retries
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('IdempotencyKeys', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      userId: { type: DataTypes.INTEGER, allowNull: false },
+      key: { type: DataTypes.STRING, allowNull: false },
+      requestHash: { type: DataTypes.STRING, allowNull: false },
+      responseStatus: { type: DataTypes.INTEGER, allowNull: true },
+      responseType: { type: DataTypes.STRING, allowNull: true },
+      responseBody: { type: DataTypes.TEXT, allowNull: true },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('IdempotencyKeys', ['userId', 'key'], { unique: true });
+    await queryInterface.addIndex('IdempotencyKeys', ['expiresAt']);
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('IdempotencyKeys');
+  }
+};
@@ -0,0 +1,37 @@
+// Order cancellations, run as a saga whose progress is stored so that it resumes after a crash,
+// and the refunds owed for the paid orders that were cancelled
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('OrderCancellations', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+      reason: { type: DataTypes.TEXT, allowNull: true },
+      fromStatus: { type: DataTypes.STRING, allowNull: false },
+      cancelledBy: { type: DataTypes.INTEGER, allowNull: true },
+      step: { type: DataTypes.STRING, allowNull: false },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      lastError: { type: DataTypes.TEXT, allowNull: true },
+      completedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('OrderCancellations', ['completedAt']);
+
+    await queryInterface.createTable('Refunds', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      orderId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+      amount: { type: DataTypes.INTEGER, allowNull: false },
+      currency: { type: DataTypes.STRING(3), allowNull: false },
+      refundedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('Refunds');
+    await queryInterface.dropTable('OrderCancellations');
+  }
+};
@@ -0,0 +1,14 @@
+// Order lines whose book was deleted from the catalogue, flagged by the consumer of the BookDeleted events
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.addColumn('OrderItems', 'bookDeletedAt', { type: DataTypes.DATE, allowNull: true });
+    await queryInterface.addColumn('OrderItems', 'deletedBookTitle', { type: DataTypes.STRING, allowNull: true });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.removeColumn('OrderItems', 'deletedBookTitle');
+    await queryInterface.removeColumn('OrderItems', 'bookDeletedAt');
+  }
+};
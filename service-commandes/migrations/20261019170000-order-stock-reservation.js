@@ -0,0 +1,12 @@
+// Reference under which the copies of an order were reserved in Service Livres, reused to release them
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.addColumn('Orders', 'stockReservation', { type: DataTypes.STRING, allowNull: true });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.removeColumn('Orders', 'stockReservation');
+  }
+};
@@ -0,0 +1,48 @@
+// Rate limiting middleware. Each service is built as its own Docker image, so this file is copied as-is into
+// every service that limits its routes: keep the copies identical.
+//
+// The requests of each client (its IP address by default) are counted over a fixed window; past the limit the
+// middleware answers 429 with a Retry-After header until the window ends. Counters are kept in memory, so each
+// instance of a service counts only the requests it receives.
+//
+// Behind the API gateway, the client address is read from X-Forwarded-For: the service must trust the gateway
+// (app.set('trust proxy', ...)), otherwise every client shares the address of the gateway.
+
+// options: { windowSeconds, max, key?, message? }, e.g. createRateLimiter({ windowSeconds: 60, max: 30 })
+//   key(req)  identifies the client, req.ip by default
+const createRateLimiter = ({ windowSeconds, max, key = req => req.ip, message = 'Trop de requêtes, réessayez plus tard.' }) => {
+  const windowMs = windowSeconds * 1000;
+  const windows = new Map(); // client key -> { count, resetAt }
+
+  // Forgets the clients whose window is over, so the map does not grow with every client ever seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [client, window] of windows) {
+      if (window.resetAt <= now) windows.delete(client);
+    }
+  }, windowMs);
+  sweep.unref(); // Does not keep the process alive
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const client = key(req);
+    let window = windows.get(client);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(client, window);
+    }
+    window.count += 1;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - window.count, 0)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    if (window.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).send(message);
+    }
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,119 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { Sequelize } = require('sequelize');
+const { startService, startFakeServices, tokenFor, request } = require('./helpers');
+
+const RELEASE = '/livres/stock/release';
+
+// Checks the condition every 100 ms until it holds
+const waitFor = async (condition, timeout = 10 * 1000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+describe('order cancellation saga', () => {
+  let fake;
+  let service;
+  let database; // The database of the service, to check what no endpoint shows (refunds)
+  const alice = tokenFor({ id: 1 });
+  const staff = tokenFor({ id: 99, role: 'staff' });
+
+  const createOrder = async () => {
+    const { status, body } = await request(service, 'POST', '/commandes', {
+      token: alice,
+      body: { items: [{ bookId: 1, quantity: 2 }] }
+    });
+    assert.equal(status, 201);
+    return body;
+  };
+  const setStatus = (id, status, token = staff) => request(service, 'PUT', `/commandes/${id}/status`, { token, body: { status } });
+  const cancel = id => request(service, 'POST', `/commandes/${id}/annuler`, { token: alice, body: { reason: 'Commande en double' } });
+  const refundsOf = async (orderId) => {
+    const [refunds] = await database.query('SELECT amount, currency FROM Refunds WHERE orderId = ?', { replacements: [orderId] });
+    return refunds;
+  };
+
+  before(async () => {
+    fake = await startFakeServices();
+    fake.books.set(1, { id: 1, title: 'L\'Étranger', price: 850, currency: 'EUR' });
+    service = await startService(fake.url);
+    database = new Sequelize({ dialect: 'sqlite', storage: service.databaseFile, logging: false });
+  });
+  after(async () => {
+    await database.close();
+    await service.stop();
+    await fake.close();
+  });
+  beforeEach(() => {
+    fake.releases.length = 0;
+    fake.failing.clear();
+  });
+
+  it('cancels the order and gives its copies back under the reference of their reservation', async () => {
+    const order = await createOrder();
+    assert.equal(order.stockReservation, fake.reservations.at(-1).reference);
+
+    const { status, body } = await cancel(order.id);
+    assert.equal(status, 200);
+    assert.equal(body.order.status, 'Annulée');
+    assert.equal(body.cancellation.step, 'done');
+    assert.ok(body.cancellation.completedAt);
+    assert.deepEqual(fake.releases, [{ items: [{ bookId: 1, quantity: 2 }], reference: order.stockReservation }]);
+    assert.deepEqual(await refundsOf(order.id), []);
+  });
+
+  it('owes a refund of the total of a paid order', async () => {
+    const order = await createOrder();
+    assert.equal((await setStatus(order.id, 'Payée')).status, 200);
+
+    assert.equal((await cancel(order.id)).status, 200);
+    assert.deepEqual(await refundsOf(order.id), [{ amount: order.total, currency: 'EUR' }]);
+  });
+
+  it('answers 202 while Service Livres is down, and resumes the cancellation after a restart', async () => {
+    const order = await createOrder();
+    fake.failing.add(RELEASE);
+
+    const { status, body } = await cancel(order.id);
+    assert.equal(status, 202);
+    assert.equal(body.order.status, 'Annulée');
+    assert.equal(body.cancellation.step, 'release-stock');
+    assert.equal(body.cancellation.completedAt, null);
+    assert.equal(body.cancellation.lastError, 'HTTP 503');
+    // Already cancelled: the remaining steps are not started a second time
+    assert.equal((await cancel(order.id)).status, 409);
+
+    fake.failing.clear();
+    await service.restart();
+    await waitFor(async () => {
+      const [[cancellation]] = await database.query('SELECT completedAt FROM OrderCancellations WHERE orderId = ?', { replacements: [order.id] });
+      return cancellation.completedAt !== null;
+    });
+    assert.deepEqual(fake.releases, [{ items: [{ bookId: 1, quantity: 2 }], reference: order.stockReservation }]);
+  });
+
+  it('goes through the same saga when the status is set to Annulée', async () => {
+    const order = await createOrder();
+    fake.failing.add(RELEASE);
+
+    const { status, body } = await setStatus(order.id, 'Annulée', alice);
+    assert.equal(status, 202);
+    assert.equal(body.status, 'Annulée');
+
+    fake.failing.clear();
+    const [[cancellation]] = await database.query('SELECT step, reason FROM OrderCancellations WHERE orderId = ?', { replacements: [order.id] });
+    assert.deepEqual(cancellation, { step: 'release-stock', reason: null });
+  });
+
+  it('refuses to cancel a shipped order', async () => {
+    const order = await createOrder();
+    await setStatus(order.id, 'Payée');
+    await setStatus(order.id, 'Expédiée');
+
+    assert.equal((await cancel(order.id)).status, 409);
+    assert.deepEqual(fake.releases, []);
+  });
+});
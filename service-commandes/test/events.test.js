@@ -0,0 +1,126 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, it } = require('node:test');
+const { Sequelize } = require('sequelize');
+const { createBroker } = require('../broker');
+const { startService, startFakeServices, tokenFor, request } = require('./helpers');
+
+// Checks the condition every 100 ms until it holds
+const waitFor = async (condition, timeout = 10 * 1000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+const bookDeleted = (bookId, title) => ({
+  id: crypto.randomUUID(),
+  type: 'BookDeleted',
+  source: 'service-livres',
+  occurredAt: new Date().toISOString(),
+  data: { bookId, title, author: 'Albert Camus' }
+});
+
+describe('sqlite broker', () => {
+  let dir;
+  let broker;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'broker-'));
+    broker = await createBroker({ driver: 'sqlite', storage: path.join(dir, 'broker.sqlite') });
+  });
+  after(async () => {
+    await broker.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('delivers an event again while its handler fails, and the later events after it', async () => {
+    const first = bookDeleted(1, 'La Peste');
+    const second = bookDeleted(2, 'La Chute');
+    await broker.publish(first);
+    await broker.publish(second);
+
+    const deliveries = [];
+    await broker.subscribe('test.redelivery', ['BookDeleted'], async (event) => {
+      deliveries.push(event.id);
+      if (deliveries.length === 1) throw new Error('Database unavailable');
+    });
+    await waitFor(() => deliveries.length === 3);
+
+    assert.deepEqual(deliveries, [first.id, first.id, second.id]);
+  });
+
+  it('ignores an event published twice', async () => {
+    const event = bookDeleted(3, 'L\'Exil et le Royaume');
+    await broker.publish(event);
+    await broker.publish(event);
+    const marker = bookDeleted(4, 'Noces');
+    await broker.publish(marker);
+
+    const deliveries = [];
+    await broker.subscribe('test.duplicates', ['BookDeleted'], async ({ data }) => { deliveries.push(data.bookId); });
+    await waitFor(() => deliveries.includes(4));
+
+    assert.deepEqual(deliveries.filter(bookId => bookId === 3), [3]);
+  });
+});
+
+describe('BookDeleted consumer', () => {
+  let fake;
+  let service;
+  let broker;
+  let brokerDatabase; // To move the subscription back, as after a crash before the event was acknowledged
+  const alice = tokenFor({ id: 1 });
+
+  before(async () => {
+    fake = await startFakeServices();
+    fake.books.set(1, { id: 1, title: 'L\'Étranger', price: 850, currency: 'EUR' });
+    fake.books.set(2, { id: 2, title: 'Caligula', price: 700, currency: 'EUR' });
+    service = await startService(fake.url);
+    broker = await createBroker({ driver: 'sqlite', storage: service.brokerFile });
+    brokerDatabase = new Sequelize({ dialect: 'sqlite', storage: service.brokerFile, logging: false });
+  });
+  after(async () => {
+    await brokerDatabase.close();
+    await broker.close();
+    await service.stop();
+    await fake.close();
+  });
+
+  const itemsOf = async (id) => {
+    const { body } = await request(service, 'GET', `/commandes/${id}`, { token: alice });
+    return body.items;
+  };
+
+  it('flags the order lines of the deleted book, and an event delivered again changes nothing', async () => {
+    const { body: order } = await request(service, 'POST', '/commandes', {
+      token: alice,
+      body: { items: [{ bookId: 1, quantity: 1 }, { bookId: 2, quantity: 1 }] }
+    });
+    fake.books.delete(1);
+    const event = bookDeleted(1, 'L\'Étranger');
+    await broker.publish(event);
+
+    await waitFor(async () => (await itemsOf(order.id)).find(item => item.bookId === 1).bookDeletedAt !== null);
+    const items = await itemsOf(order.id);
+    const deletedLine = items.find(item => item.bookId === 1);
+    assert.equal(deletedLine.bookDeletedAt, event.occurredAt);
+    assert.equal(deletedLine.bookTitle, 'L\'Étranger');
+    assert.equal(items.find(item => item.bookId === 2).bookDeletedAt, null);
+
+    await brokerDatabase.query(
+      'UPDATE BrokerSubscriptions SET position = 0 WHERE name = \'service-commandes.book-deleted\''
+    );
+    await waitFor(async () => {
+      const [[{ position }]] = await brokerDatabase.query(
+        'SELECT position FROM BrokerSubscriptions WHERE name = \'service-commandes.book-deleted\''
+      );
+      return position > 0;
+    });
+    assert.deepEqual(await itemsOf(order.id), items);
+  });
+});
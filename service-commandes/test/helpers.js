@@ -0,0 +1,197 @@
+// Helpers of the tests that go through HTTP: the service runs in a child process, in development mode, against
+// a fresh SQLite database and broker queue in a temporary directory. Service Livres and Service Utilisateurs are
+// replaced by a fake server run by the test, which records the calls it receives.
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const SERVICE_DIR = path.join(__dirname, '..');
+const STARTUP_TIMEOUT = 20 * 1000;
+
+const JWT_SECRET = 'test-jwt-secret-0123456789';
+const INTERNAL_API_KEY = 'test-internal-key-0123456789';
+
+// A port nobody listens on, taken from the system
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Resolves once the child process writes the given text, rejects if it exits before
+const waitForOutput = (child, text) => new Promise((resolve, reject) => {
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`Service not started after ${STARTUP_TIMEOUT} ms:\n${output}`)), STARTUP_TIMEOUT);
+  const onData = (data) => {
+    output += data;
+    if (output.includes(text)) {
+      clearTimeout(timer);
+      resolve();
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  child.once('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Service exited with code ${code}:\n${output}`));
+  });
+});
+
+const kill = child => new Promise((resolve) => {
+  if (child.exitCode !== null) return resolve();
+  child.once('exit', resolve);
+  child.kill();
+});
+
+// Migrates a new database and starts the service on it, calling the fake services at fakeUrl.
+// Returns { url, databaseFile, brokerFile, restart, stop }: restart stops the service and starts it again on the same data.
+const startService = async (fakeUrl, env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-commandes-'));
+  const port = await freePort();
+  const serviceEnv = {
+    ...process.env,
+    NODE_ENV: 'development',
+    PORT: String(port),
+    DATABASE_URL: '', // Not taken from a .env file either
+    SQLITE_STORAGE: path.join(dir, 'commandes.sqlite'),
+    BROKER_DRIVER: 'sqlite',
+    BROKER_SQLITE_STORAGE: path.join(dir, 'broker.sqlite'),
+    JWT_SECRET,
+    INTERNAL_API_KEY,
+    LIVRES_SERVICE_URL: fakeUrl,
+    UTILISATEURS_SERVICE_URL: fakeUrl,
+    ...env
+  };
+  await promisify(execFile)(process.execPath, ['migrate.js', 'up'], { cwd: SERVICE_DIR, env: serviceEnv });
+
+  let child;
+  const run = async () => {
+    child = spawn(process.execPath, ['index.js'], { cwd: SERVICE_DIR, env: serviceEnv });
+    await waitForOutput(child, 'listening at');
+  };
+  const stop = async () => {
+    await kill(child);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  try {
+    await run();
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  const restart = async () => {
+    await kill(child);
+    await run();
+  };
+  return {
+    url: `http://127.0.0.1:${port}`,
+    databaseFile: serviceEnv.SQLITE_STORAGE,
+    brokerFile: serviceEnv.BROKER_SQLITE_STORAGE,
+    restart,
+    stop
+  };
+};
+
+// Fake Service Livres and Service Utilisateurs. Every user exists and has confirmed their email address; books
+// holds the catalogue by id. The stock calls are recorded in reservations and releases, and failing makes the
+// given paths answer 503. Like Service Livres, the fake keeps the stock of the books that have one, reserving all
+// the lines or none (409), and applies a reservation or a release only once per reference.
+// Returns { url, books, reservations, releases, failing, close }.
+const startFakeServices = async () => {
+  const fake = {
+    books: new Map(),
+    reservations: [],
+    releases: [],
+    failing: new Set()
+  };
+  const applied = new Set(); // Stock calls already applied, by kind and reference
+  const updateStock = (items, sign) => items.forEach(({ bookId, quantity }) => {
+    const book = fake.books.get(bookId);
+    if (book?.stock !== undefined) book.stock += sign * quantity;
+  });
+  const send = (res, status, body) => {
+    res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', (chunk) => { text += chunk; });
+    req.on('end', () => {
+      const { pathname, searchParams } = new URL(req.url, 'http://fake');
+      if (fake.failing.has(pathname)) return send(res, 503, { error: 'Service indisponible' });
+
+      const user = pathname.match(/^\/users\/(\d+)$/);
+      if (req.method === 'GET' && user) {
+        return send(res, 200, { id: Number(user[1]), emailVerifiedAt: '2026-01-01T00:00:00.000Z', deletedAt: null });
+      }
+      if (req.method === 'GET' && pathname === '/users') {
+        return send(res, 200, searchParams.get('ids').split(',').map(id => ({ id: Number(id), name: `Utilisateur ${id}` })));
+      }
+      if (req.method === 'GET' && pathname === '/livres') {
+        const ids = (searchParams.get('ids') || '').split(',').map(Number);
+        return send(res, 200, { data: ids.filter(id => fake.books.has(id)).map(id => fake.books.get(id)) });
+      }
+      if (req.method === 'POST' && pathname === '/livres/stock/reserve') {
+        const reservation = JSON.parse(text);
+        fake.reservations.push(reservation);
+        if (applied.has(`reserve ${reservation.reference}`)) return send(res, 204);
+        const unavailable = reservation.items
+          .filter(({ bookId, quantity }) => fake.books.get(bookId)?.stock < quantity)
+          .map(({ bookId, quantity }) => ({ bookId, requested: quantity, available: fake.books.get(bookId).stock }));
+        if (unavailable.length > 0) return send(res, 409, { error: 'Stock insuffisant', unavailable });
+        applied.add(`reserve ${reservation.reference}`);
+        updateStock(reservation.items, -1);
+        return send(res, 204);
+      }
+      if (req.method === 'POST' && pathname === '/livres/stock/release') {
+        const release = JSON.parse(text);
+        fake.releases.push(release);
+        if (!applied.has(`release ${release.reference}`)) {
+          applied.add(`release ${release.reference}`);
+          updateStock(release.items, 1);
+        }
+        return send(res, 204);
+      }
+      send(res, 404, { error: `${req.method} ${pathname} non prévu par le faux service` });
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  fake.url = `http://127.0.0.1:${server.address().port}`;
+  fake.close = () => new Promise(resolve => server.close(resolve));
+  return fake;
+};
+
+// Access token of the given user, as issued by Service Utilisateurs
+const tokenFor = ({ id, role = 'customer' }) => jwt.sign(
+  { email: `user${id}@example.com`, name: `Utilisateur ${id}`, role },
+  JWT_SECRET,
+  { algorithm: 'HS256', subject: String(id), issuer: 'service-utilisateurs', expiresIn: '15m' }
+);
+
+// Sends a JSON request. Returns { status, headers, body }, body parsed when the response is JSON.
+const request = async (service, method, route, { body, token, headers = {} } = {}) => {
+  const allHeaders = { ...headers };
+  if (body !== undefined) allHeaders['Content-Type'] = 'application/json';
+  if (token) allHeaders.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${service.url}${route}`, {
+    method,
+    headers: allHeaders,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  const json = (response.headers.get('content-type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+};
+
+module.exports = { startService, startFakeServices, tokenFor, request };
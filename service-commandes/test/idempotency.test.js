@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { startService, startFakeServices, tokenFor, request } = require('./helpers');
+
+describe('POST /commandes with an Idempotency-Key', () => {
+  let fake;
+  let service;
+  const alice = tokenFor({ id: 1 });
+  const bob = tokenFor({ id: 2 });
+
+  const order = (token, key, items = [{ bookId: 1, quantity: 1 }]) => request(service, 'POST', '/commandes', {
+    token,
+    body: { items },
+    headers: key === undefined ? {} : { 'Idempotency-Key': key }
+  });
+
+  before(async () => {
+    fake = await startFakeServices();
+    fake.books.set(1, { id: 1, title: 'L\'Étranger', price: 850, currency: 'EUR' });
+    fake.books.set(2, { id: 2, title: 'La Peste', price: 990, currency: 'EUR' });
+    service = await startService(fake.url);
+  });
+  after(async () => {
+    await service.stop();
+    await fake.close();
+  });
+  beforeEach(() => {
+    fake.reservations.length = 0;
+    fake.failing.clear();
+  });
+
+  it('creates the order once and replays the first response for the same key', async () => {
+    const first = await order(alice, 'commande-1');
+    assert.equal(first.status, 201);
+
+    const retry = await order(alice, 'commande-1');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(fake.reservations.length, 1);
+  });
+
+  it('refuses the key of another request of the same user', async () => {
+    assert.equal((await order(alice, 'commande-2')).status, 201);
+    const other = await order(alice, 'commande-2', [{ bookId: 2, quantity: 1 }]);
+    assert.equal(other.status, 422);
+    assert.equal(fake.reservations.length, 1);
+  });
+
+  it('keeps the keys of each user apart', async () => {
+    const fromAlice = await order(alice, 'commande-3');
+    const fromBob = await order(bob, 'commande-3');
+    assert.equal(fromBob.status, 201);
+    assert.notEqual(fromBob.body.id, fromAlice.body.id);
+    assert.equal(fromBob.body.userId, 2);
+  });
+
+  it('does not store server errors, so the request can be retried with the same key', async () => {
+    fake.failing.add('/livres/stock/reserve');
+    assert.equal((await order(alice, 'commande-4')).status, 503);
+
+    fake.failing.clear();
+    const retry = await order(alice, 'commande-4');
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+  });
+
+  it('runs every request sent without a key', async () => {
+    const first = await order(alice);
+    const second = await order(alice);
+    assert.notEqual(first.body.id, second.body.id);
+    assert.equal(fake.reservations.length, 2);
+  });
+
+  it('refuses an empty or too long key', async () => {
+    assert.equal((await order(alice, '')).status, 400);
+    assert.equal((await order(alice, 'k'.repeat(256))).status, 400);
+  });
+});
@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startService, startFakeServices, tokenFor, request } = require('./helpers');
+
+describe('PUT /commandes/:id/status', () => {
+  let fake;
+  let service;
+  const alice = tokenFor({ id: 1 });
+  const staff = tokenFor({ id: 99, role: 'staff' });
+
+  const createOrder = async () => {
+    const { status, body } = await request(service, 'POST', '/commandes', {
+      token: alice,
+      body: { items: [{ bookId: 1, quantity: 1 }] }
+    });
+    assert.equal(status, 201);
+    return body;
+  };
+  const setStatus = (id, status, token = staff) => request(service, 'PUT', `/commandes/${id}/status`, { token, body: { status } });
+  const historyOf = async (id) => {
+    const { body } = await request(service, 'GET', `/commandes/${id}/historique`, { token: staff });
+    return body.map(({ fromStatus, toStatus }) => [fromStatus, toStatus]);
+  };
+
+  before(async () => {
+    fake = await startFakeServices();
+    fake.books.set(1, { id: 1, title: 'L\'Étranger', price: 850, currency: 'EUR' });
+    service = await startService(fake.url);
+  });
+  after(async () => {
+    await service.stop();
+    await fake.close();
+  });
+
+  it('answers 400 to a request without a body or without a status', async () => {
+    const order = await createOrder();
+
+    const withoutBody = await request(service, 'PUT', `/commandes/${order.id}/status`, { token: staff });
+    assert.equal(withoutBody.status, 400);
+    assert.match(withoutBody.body, /status\) est requis/);
+    assert.equal((await request(service, 'PUT', `/commandes/${order.id}/status`, { token: staff, body: {} })).status, 400);
+    assert.equal((await setStatus(order.id, 'Perdue')).status, 400);
+  });
+
+  it('follows the life cycle of an order up to its delivery', async () => {
+    const order = await createOrder();
+
+    for (const status of ['Payée', 'Expédiée', 'Livrée']) {
+      const { status: code, body } = await setStatus(order.id, status);
+      assert.equal(code, 200);
+      assert.equal(body.status, status);
+    }
+    assert.deepEqual(await historyOf(order.id), [
+      [null, 'En cours'],
+      ['En cours', 'Payée'],
+      ['Payée', 'Expédiée'],
+      ['Expédiée', 'Livrée']
+    ]);
+  });
+
+  it('refuses the transitions the life cycle does not allow, leaving the order unchanged', async () => {
+    const order = await createOrder();
+
+    assert.equal((await setStatus(order.id, 'Expédiée')).status, 409);
+    assert.equal((await setStatus(order.id, 'En cours')).status, 409);
+    assert.equal((await setStatus(order.id, 'Payée')).status, 200);
+    assert.equal((await setStatus(order.id, 'Livrée')).status, 409);
+    assert.equal((await setStatus(order.id, 'Expédiée')).status, 200);
+    const cancelShipped = await setStatus(order.id, 'Annulée');
+    assert.equal(cancelShipped.status, 409);
+    assert.match(cancelShipped.body, /Expédiée → Annulée/);
+
+    const { body } = await request(service, 'GET', `/commandes/${order.id}`, { token: staff });
+    assert.equal(body.status, 'Expédiée');
+    assert.equal((await historyOf(order.id)).length, 3);
+  });
+
+  it('lets a cancelled order go nowhere', async () => {
+    const order = await createOrder();
+    assert.equal((await setStatus(order.id, 'Annulée')).status, 200);
+
+    for (const status of ['En cours', 'Payée', 'Expédiée', 'Livrée', 'Annulée']) {
+      assert.equal((await setStatus(order.id, status)).status, 409);
+    }
+  });
+
+  it('lets a customer cancel their own order, but not change its status otherwise', async () => {
+    const order = await createOrder();
+
+    assert.equal((await setStatus(order.id, 'Payée', alice)).status, 403);
+    assert.equal((await setStatus(order.id, 'Annulée', tokenFor({ id: 2 }))).status, 403);
+    assert.equal((await setStatus(order.id, 'Annulée', alice)).status, 200);
+  });
+});
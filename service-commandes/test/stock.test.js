@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { Sequelize } = require('sequelize');
+const { startService, startFakeServices, tokenFor, request } = require('./helpers');
+
+// Checks the condition every 100 ms until it holds
+const waitFor = async (condition, timeout = 10 * 1000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+describe('stock of the ordered books', () => {
+  let fake;
+  let service;
+  let database; // The database of the service, to make an order look like one placed before it kept its reservation
+  const alice = tokenFor({ id: 1 });
+
+  const stockOf = bookId => fake.books.get(bookId).stock;
+  const createOrder = items => request(service, 'POST', '/commandes', { token: alice, body: { items } });
+  const cancel = id => request(service, 'POST', `/commandes/${id}/annuler`, { token: alice, body: { reason: 'Commande en double' } });
+
+  before(async () => {
+    fake = await startFakeServices();
+    fake.books.set(1, { id: 1, title: 'L\'Étranger', price: 850, currency: 'EUR', stock: 5 });
+    fake.books.set(2, { id: 2, title: 'La Peste', price: 900, currency: 'EUR', stock: 1 });
+    service = await startService(fake.url);
+    database = new Sequelize({ dialect: 'sqlite', storage: service.databaseFile, logging: false });
+  });
+  after(async () => {
+    await database.close();
+    await service.stop();
+    await fake.close();
+  });
+
+  it('reserves the copies of an order and gives them back once when it is cancelled', async () => {
+    const { status, body: order } = await createOrder([{ bookId: 1, quantity: 2 }]);
+    assert.equal(status, 201);
+    assert.equal(order.stockReserved, true);
+    assert.equal(stockOf(1), 3);
+
+    assert.equal((await cancel(order.id)).status, 200);
+    assert.equal(stockOf(1), 5);
+    assert.equal((await cancel(order.id)).status, 409);
+    assert.equal(stockOf(1), 5);
+
+    const { body } = await request(service, 'GET', `/commandes/${order.id}`, { token: alice });
+    assert.equal(body.stockReserved, false);
+  });
+
+  it('reserves nothing and creates no order when a line lacks copies', async () => {
+    const ordersOfAlice = async () => (await request(service, 'GET', '/commandes', { token: alice })).body.length;
+    const ordersBefore = await ordersOfAlice();
+
+    const { status, body } = await createOrder([{ bookId: 1, quantity: 1 }, { bookId: 2, quantity: 2 }]);
+
+    assert.equal(status, 409);
+    assert.deepEqual(body.unavailable, [{ bookId: 2, requested: 2, available: 1 }]);
+    assert.equal(stockOf(1), 5);
+    assert.equal(stockOf(2), 1);
+    assert.equal(await ordersOfAlice(), ordersBefore);
+  });
+
+  it('gives the copies back once the release succeeds after a failure', async () => {
+    const { body: order } = await createOrder([{ bookId: 1, quantity: 4 }, { bookId: 2, quantity: 1 }]);
+    assert.equal(stockOf(1), 1);
+    assert.equal(stockOf(2), 0);
+    fake.failing.add('/livres/stock/release');
+
+    assert.equal((await cancel(order.id)).status, 202);
+    assert.equal(stockOf(1), 1);
+
+    fake.failing.clear();
+    await service.restart();
+    await waitFor(async () => {
+      const [[cancellation]] = await database.query('SELECT completedAt FROM OrderCancellations WHERE orderId = ?', { replacements: [order.id] });
+      return cancellation.completedAt !== null;
+    });
+    assert.equal(stockOf(1), 5);
+    assert.equal(stockOf(2), 1);
+    assert.equal(fake.releases.at(-1).reference, order.stockReservation);
+  });
+
+  it('releases the copies of an order placed before the reservation was kept under a reference of the order', async () => {
+    const { body: order } = await createOrder([{ bookId: 1, quantity: 1 }]);
+    await database.query('UPDATE Orders SET stockReservation = NULL WHERE id = ?', { replacements: [order.id] });
+
+    assert.equal((await cancel(order.id)).status, 200);
+    assert.equal(fake.releases.at(-1).reference, `commande-${order.id}-annulation`);
+    assert.equal(stockOf(1), 5);
+  });
+});
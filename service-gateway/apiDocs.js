@@ -0,0 +1,71 @@
+// Builds the OpenAPI document of the gateway by merging the specs published by each service on /api-docs.json.
+// The specs are fetched on every request, so the documentation follows the services as they are deployed.
+const axios = require('axios');
+
+const SPEC_TIMEOUT = 2000; // ms
+
+// Components with the same name in several services (bearerAuth, Unauthorized...) are shared definitions:
+// the first one wins, a differing duplicate is reported in the logs
+const mergeComponents = (target, source, serviceName) => {
+  for (const [section, definitions] of Object.entries(source || {})) {
+    target[section] = target[section] || {};
+    for (const [name, definition] of Object.entries(definitions)) {
+      const existing = target[section][name];
+      if (existing && JSON.stringify(existing) !== JSON.stringify(definition)) {
+        console.error(`API docs: ${section}.${name} from ${serviceName} differs from an earlier definition, ignored.`);
+        continue;
+      }
+      target[section][name] = existing || definition;
+    }
+  }
+};
+
+// services: [{ name, url }]; isExposed(path) tells whether the gateway routes a documented path
+const buildApiDocs = async (services, isExposed) => {
+  const spec = {
+    openapi: '3.0.0',
+    info: {
+      title: 'Librairie API',
+      version: '1.0.0',
+      description: 'Point d\'entrée unique des services Livres, Commandes et Utilisateurs',
+    },
+    servers: [{ url: '/' }],
+    tags: [],
+    paths: {},
+    components: {}
+  };
+
+  const results = await Promise.allSettled(
+    services.map(({ url }) => axios.get(`${url}/api-docs.json`, { timeout: SPEC_TIMEOUT }))
+  );
+
+  results.forEach((result, index) => {
+    const { name } = services[index];
+    if (result.status === 'rejected') {
+      console.error(`API docs: could not fetch the spec of ${name}:`, result.reason.message);
+      spec.info.description += `\n\n**${name} est indisponible, ses routes ne sont pas listées.**`;
+      return;
+    }
+    const serviceSpec = result.value.data;
+    for (const [path, operations] of Object.entries(serviceSpec.paths || {})) {
+      if (isExposed(path)) {
+        spec.paths[path] = { ...spec.paths[path], ...operations };
+      }
+    }
+    for (const tag of serviceSpec.tags || []) {
+      if (!spec.tags.some(existing => existing.name === tag.name)) {
+        spec.tags.push(tag);
+      }
+    }
+    mergeComponents(spec.components, serviceSpec.components, name);
+  });
+
+  // Drops the tags of routes that are not exposed (e.g. Supervision)
+  const usedTags = new Set(Object.values(spec.paths).flatMap(operations =>
+    Object.values(operations).flatMap(operation => operation.tags || [])));
+  spec.tags = spec.tags.filter(tag => usedTags.has(tag.name));
+
+  return spec;
+};
+
+module.exports = { buildApiDocs };
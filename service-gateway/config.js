@@ -0,0 +1,125 @@
+// Service configuration, read once at startup from the environment. Variables can also be set in a .env
+// file next to this one (real environment variables take precedence). An invalid value stops the service
+// right away instead of failing on first use.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '.env'), quiet: true });
+
+const errors = [];
+
+// Secrets have no default outside development (NODE_ENV=development): a deployed service must not start with a
+// value published in this repository
+const development = process.env.NODE_ENV === 'development';
+
+const SECRET_MIN_LENGTH = 16;
+
+const readSecret = (name, developmentValue) => {
+  const value = process.env[name];
+  if (!value) {
+    if (development) return developmentValue;
+    errors.push(`${name} is required (only NODE_ENV=development falls back to a development value)`);
+    return undefined;
+  }
+  if (value.length < SECRET_MIN_LENGTH) {
+    errors.push(`${name} must be at least ${SECRET_MIN_LENGTH} characters long`);
+  }
+  return value;
+};
+
+const readPort = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    errors.push(`${name} must be a port number between 1 and 65535 (got "${value}")`);
+  }
+  return port;
+};
+
+// Base URL of another service, e.g. http://service-livres:3001 inside Docker
+const readServiceUrl = (name, defaultValue) => {
+  const value = process.env[name] || defaultValue;
+  let protocol;
+  try {
+    ({ protocol } = new URL(value));
+  } catch {
+    errors.push(`${name} must be a valid URL (got "${value}")`);
+    return value;
+  }
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    errors.push(`${name} must be an http:// or https:// URL (got "${value}")`);
+  }
+  return value.replace(/\/+$/, '');
+};
+
+// "*" (any origin, the default) or a comma-separated list of origins such as https://librairie.example
+const readCorsOrigins = (name) => {
+  const value = process.env[name];
+  if (!value || value.trim() === '*') return '*';
+  const origins = value.split(',').map(origin => origin.trim()).filter(Boolean);
+  for (const origin of origins) {
+    try {
+      new URL(origin);
+    } catch {
+      errors.push(`${name} must list origins such as https://example.com (got "${origin}")`);
+    }
+  }
+  return origins;
+};
+
+// A size in bytes, or with a kb/mb suffix: 512kb, 1mb
+const readSize = (name, defaultValue) => {
+  const value = process.env[name] || defaultValue;
+  if (!/^\d+(b|kb|mb)?$/i.test(value)) {
+    errors.push(`${name} must be a size such as 100kb or 1mb (got "${value}")`);
+  }
+  return value;
+};
+
+// Access tokens of service-utilisateurs are checked with the public half of its private key (RS256) when
+// JWT_PUBLIC_KEY_FILE or JWT_PUBLIC_KEY is set, with the secret it shares with the services (HS256) otherwise
+const readPublicKey = (name, pem) => {
+  try {
+    crypto.createPublicKey(pem);
+    return { algorithms: ['RS256'], key: pem };
+  } catch (error) {
+    errors.push(`${name} does not hold a public key in PEM format (${error.message})`);
+    return {};
+  }
+};
+
+const readJwtVerification = () => {
+  const keyFile = process.env.JWT_PUBLIC_KEY_FILE;
+  if (keyFile) {
+    try {
+      return readPublicKey('JWT_PUBLIC_KEY_FILE', fs.readFileSync(keyFile, 'utf8'));
+    } catch (error) {
+      errors.push(`JWT_PUBLIC_KEY_FILE cannot be read (${error.message})`);
+      return {};
+    }
+  }
+  if (process.env.JWT_PUBLIC_KEY) {
+    return readPublicKey('JWT_PUBLIC_KEY', process.env.JWT_PUBLIC_KEY);
+  }
+  return { algorithms: ['HS256'], key: readSecret('JWT_SECRET', 'dev-secret-change-me') };
+};
+
+const config = {
+  port: readPort('PORT', 3000),
+  livresServiceUrl: readServiceUrl('LIVRES_SERVICE_URL', 'http://localhost:3001'),
+  commandesServiceUrl: readServiceUrl('COMMANDES_SERVICE_URL', 'http://localhost:3002'),
+  utilisateursServiceUrl: readServiceUrl('UTILISATEURS_SERVICE_URL', 'http://localhost:3003'),
+  corsOrigins: readCorsOrigins('CORS_ORIGINS'),
+  maxBodySize: readSize('MAX_BODY_SIZE', '1mb'),
+  jwtVerification: readJwtVerification()
+};
+
+if (errors.length > 0) {
+  const error = new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  error.name = 'ConfigurationError';
+  throw error;
+}
+
+module.exports = config;
@@ -0,0 +1,121 @@
+const express = require('express');
+const cors = require('cors');
+const swaggerUi = require('swagger-ui-express');
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const config = require('./config');
+const { authenticate } = require('./auth');
+const { buildApiDocs } = require('./apiDocs');
+
+const app = express();
+const { port } = config;
+
+// Public routes and the service answering them. A route covers its sub-paths (/livres covers /livres/42).
+const SERVICES = [
+  { name: 'service-livres', url: config.livresServiceUrl, routes: ['/livres', '/auteurs', '/genres'] },
+  { name: 'service-commandes', url: config.commandesServiceUrl, routes: ['/commandes'] },
+  {
+    name: 'service-utilisateurs',
+    url: config.utilisateursServiceUrl,
+    routes: ['/register', '/login', '/token/refresh', '/logout', '/password', '/verify-email', '/users']
+  }
+];
+
+// Endpoints reserved to the services themselves, never reachable through the gateway
+const INTERNAL_ROUTES = ['/livres/stock'];
+
+// Routes answered without a token, where the gateway does not verify one: clients keep sending their access
+// token once it has expired, up to and including the call to /token/refresh that replaces it
+const PUBLIC_ROUTES = [
+  { methods: ['GET', 'HEAD'], routes: ['/livres', '/auteurs', '/genres'] },
+  { routes: ['/register', '/login', '/token/refresh', '/logout', '/password', '/verify-email'] }
+];
+
+const matchesRoute = (path, route) => path === route || path.startsWith(`${route}/`);
+
+const isInternal = (path) => INTERNAL_ROUTES.some(route => matchesRoute(path, route));
+
+const findService = (path) => isInternal(path)
+  ? undefined
+  : SERVICES.find(service => service.routes.some(route => matchesRoute(path, route)));
+
+const isPublic = (req) => PUBLIC_ROUTES.some(({ methods, routes }) =>
+  (!methods || methods.includes(req.method)) && routes.some(route => matchesRoute(req.path, route)));
+
+app.use(cors({ origin: config.corsOrigins }));
+
+// --- API Docs ---
+// Swagger UI loads the merged spec from /api-docs.json each time the page is opened
+app.get('/api-docs.json', async (req, res) => {
+  res.json(await buildApiDocs(SERVICES, path => findService(path) !== undefined));
+});
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/api-docs.json' } }));
+
+// Basic route
+app.get('/', (req, res) => {
+  res.send('API Gateway is running! View API docs at /api-docs');
+});
+
+// Unknown and internal paths stop here instead of reaching a service
+app.use((req, res, next) => {
+  if (!findService(req.path)) {
+    return res.status(404).send('Route inconnue');
+  }
+  next();
+});
+
+// Bodies are read here, up to the configured size, and sent on to the service by the proxy
+app.use(express.raw({ type: () => true, limit: config.maxBodySize }));
+
+// The bearer token is verified once, here: an invalid or expired token never reaches a route that needs one.
+// Requests without a token, and requests to public routes, go through: the service decides whether the route
+// needs a token (the catalogue routes of the staff, such as GET /livres/export, still check it).
+app.use((req, res, next) => {
+  if (!req.get('Authorization') || isPublic(req)) return next();
+  authenticate(req, res, next);
+});
+
+for (const service of SERVICES) {
+  app.use(createProxyMiddleware({
+    target: service.url,
+    pathFilter: (path) => findService(path) === service,
+    changeOrigin: true,
+    on: {
+      proxyReq: (proxyReq, req) => {
+        // Only the services send the internal API key to each other, never a client through the gateway
+        proxyReq.removeHeader('X-Internal-Api-Key');
+        // The services trust the gateway to report the client address: any X-Forwarded-* sent by the client is
+        // replaced, not appended to, so the services never take a client-chosen address for the real one
+        proxyReq.setHeader('X-Forwarded-For', req.socket.remoteAddress);
+        proxyReq.setHeader('X-Forwarded-Proto', req.protocol);
+        proxyReq.setHeader('X-Forwarded-Host', req.get('Host') || '');
+        proxyReq.removeHeader('X-Forwarded-Port');
+        proxyReq.removeHeader('Forwarded');
+        if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+          proxyReq.removeHeader('Transfer-Encoding');
+          proxyReq.setHeader('Content-Length', req.body.length);
+          proxyReq.write(req.body);
+        }
+      },
+      error: (error, req, res) => {
+        console.error(`Proxy error for ${req.method} ${req.originalUrl} (${service.name}):`, error.code || error.message);
+        if (!res.headersSent) {
+          res.status(502).send(`Service ${service.name} indisponible`);
+        }
+      }
+    }
+  }));
+}
+
+// Body parsing errors (too large, aborted upload)
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).send(`Corps de requête trop volumineux (maximum ${config.maxBodySize})`);
+  }
+  console.error(`Error handling ${req.method} ${req.originalUrl}:`, error);
+  res.status(error.status || 500).send('Erreur de la passerelle');
+});
+
+app.listen(port, () => {
+  console.log(`API Gateway listening at http://localhost:${port}`);
+  console.log(`Swagger UI available at http://localhost:${port}/api-docs`);
+});
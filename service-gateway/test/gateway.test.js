@@ -0,0 +1,142 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const STARTUP_TIMEOUT = 20 * 1000;
+
+// A port nobody listens on, taken from the system
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Stands for the three services: records each request it receives and answers 200
+const startUpstream = async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, url: req.url, headers: req.headers, body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// Starts the gateway in a child process in front of the given upstream. Returns { url, stop }.
+const startGateway = async (upstreamUrl) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      NODE_ENV: 'development',
+      PORT: String(port),
+      JWT_SECRET: 'test-jwt-secret-0123456789',
+      LIVRES_SERVICE_URL: upstreamUrl,
+      COMMANDES_SERVICE_URL: upstreamUrl,
+      UTILISATEURS_SERVICE_URL: upstreamUrl
+    }
+  });
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Gateway not started after ${STARTUP_TIMEOUT} ms:\n${output}`)), STARTUP_TIMEOUT);
+    const onData = (data) => {
+      output += data;
+      if (output.includes('listening at')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Gateway exited with code ${code}:\n${output}`));
+    });
+  });
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => new Promise((resolve) => {
+      if (child.exitCode !== null) return resolve();
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+};
+
+describe('API gateway', () => {
+  let upstream;
+  let gateway;
+
+  before(async () => {
+    upstream = await startUpstream();
+    gateway = await startGateway(upstream.url);
+  });
+  after(async () => {
+    await gateway.stop();
+    await upstream.close();
+  });
+  beforeEach(() => {
+    upstream.received.length = 0;
+  });
+
+  it('replaces the forwarding headers sent by the client and never forwards the internal key', async () => {
+    const response = await fetch(`${gateway.url}/livres`, {
+      headers: {
+        'X-Forwarded-For': '203.0.113.9',
+        'X-Forwarded-Proto': 'https',
+        'X-Forwarded-Port': '443',
+        Forwarded: 'for=203.0.113.9',
+        'X-Internal-Api-Key': 'guessed'
+      }
+    });
+    assert.equal(response.status, 200);
+
+    const [{ headers }] = upstream.received;
+    assert.match(headers['x-forwarded-for'], /^(::ffff:)?127\.0\.0\.1$/);
+    assert.equal(headers['x-forwarded-proto'], 'http');
+    assert.equal(headers['x-forwarded-port'], undefined);
+    assert.equal(headers.forwarded, undefined);
+    assert.equal(headers['x-internal-api-key'], undefined);
+  });
+
+  it('refuses an invalid token on the routes that may need one', async () => {
+    const response = await fetch(`${gateway.url}/commandes`, { headers: { Authorization: 'Bearer expired' } });
+    assert.equal(response.status, 401);
+    assert.equal(upstream.received.length, 0);
+  });
+
+  it('lets the public routes through whatever token they carry', async () => {
+    const headers = { Authorization: 'Bearer expired', 'Content-Type': 'application/json' };
+    assert.equal((await fetch(`${gateway.url}/livres?page=2`, { headers })).status, 200);
+    assert.equal((await fetch(`${gateway.url}/token/refresh`, { method: 'POST', headers, body: '{"refreshToken":"r"}' })).status, 200);
+    // The catalogue is public to read only
+    assert.equal((await fetch(`${gateway.url}/livres`, { method: 'POST', headers, body: '{}' })).status, 401);
+
+    assert.deepEqual(upstream.received.map(({ method, url, body }) => ({ method, url, body })), [
+      { method: 'GET', url: '/livres?page=2', body: '' },
+      { method: 'POST', url: '/token/refresh', body: '{"refreshToken":"r"}' }
+    ]);
+  });
+
+  it('keeps the internal routes and the unknown paths to itself', async () => {
+    assert.equal((await fetch(`${gateway.url}/livres/stock/reserve`, { method: 'POST' })).status, 404);
+    assert.equal((await fetch(`${gateway.url}/inconnu`)).status, 404);
+    assert.equal(upstream.received.length, 0);
+  });
+});
@@ -0,0 +1,126 @@
+// Reading and writing the catalogue files exchanged with the catalogue team (POST /livres/import and
+// GET /livres/export): CSV as saved by spreadsheets, and JSON lines (one JSON object per line).
+//
+// Both readers return the records with the line they start on, so that errors can point to the line of the file.
+
+// A quote, separator or line break in a value requires quoting (RFC 4180). Values holding semicolons (the
+// authors of a book) are quoted too, so that they read the same in a file saved with semicolon separators.
+const NEEDS_QUOTES = /["\r\n,;]/;
+
+// Spreadsheets run a cell starting with one of these characters as a formula, so the export writes a quote
+// before such text values (and before the quotes already there, so that the import removes exactly one)
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+const escapeFormula = (text) => (FORMULA_START.test(text) ? `'${text}` : text);
+const unescapeFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text);
+
+const syntaxError = (message) => {
+  const error = new Error(message);
+  error.name = 'CatalogueFileError';
+  return error;
+};
+
+// Spreadsheets set up for French use save CSV files with semicolons, so the separator is taken from the header
+const detectSeparator = (text) => {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return header.includes(';') && !header.includes(',') ? ';' : ',';
+};
+
+// Parses a CSV file whose first line holds the column names. Quoted values may contain separators, doubled
+// quotes and line breaks, and the quote written by the export before a formula is removed.
+// Returns { columns, records: [{ line, values: { column: value } }] }, empty lines skipped.
+const parseCsv = (text) => {
+  text = text.replace(/^\uFEFF/, ''); // Byte order mark added by some spreadsheets
+  const separator = detectSeparator(text);
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endValue = () => {
+    row.push(value);
+    value = '';
+  };
+  const endRow = () => {
+    endValue();
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === separator) {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (quoted) {
+    throw syntaxError(`Ligne ${rowLine} : guillemet ouvrant sans guillemet fermant`);
+  }
+  endRow();
+
+  if (rows.length === 0) {
+    throw syntaxError('Le fichier est vide : la première ligne doit contenir les noms des colonnes');
+  }
+  const [header, ...data] = rows;
+  const columns = header.cells.map(cell => cell.trim());
+  const records = data.map(({ line: recordLine, cells }) => {
+    if (cells.length > columns.length) {
+      throw syntaxError(`Ligne ${recordLine} : ${cells.length} valeurs pour ${columns.length} colonnes`);
+    }
+    const values = {};
+    columns.forEach((column, index) => {
+      values[column] = unescapeFormula(cells[index] ?? '');
+    });
+    return { line: recordLine, values };
+  });
+  return { columns, records };
+};
+
+// Parses a JSON lines file: one object per line, blank lines skipped
+const parseJsonLines = (text) => {
+  const records = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, index) => {
+    if (!content.trim()) return;
+    let values;
+    try {
+      values = JSON.parse(content);
+    } catch {
+      throw syntaxError(`Ligne ${index + 1} : JSON invalide`);
+    }
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+      throw syntaxError(`Ligne ${index + 1} : un objet JSON est attendu`);
+    }
+    records.push({ line: index + 1, values });
+  });
+  return { columns: [...new Set(records.flatMap(record => Object.keys(record.values)))], records };
+};
+
+// One CSV line (with its line break) for the given values, null and undefined written as empty values.
+// Only text is protected against formulas: numbers such as a negative price are written as they are.
+const toCsvLine = (values) => `${values.map((value) => {
+  const text = value === null || value === undefined ? '' : typeof value === 'string' ? escapeFormula(value) : String(value);
+  return NEEDS_QUOTES.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')}\r\n`;
+
+module.exports = { parseCsv, parseJsonLines, toCsvLine };
@@ -1,20 +1,31 @@
 const express = require('express');
-const { Sequelize, DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
+const config = require('./config');
+const { authenticate, requireRole, authenticateService } = require('./auth');
+const { rebuildSearchIndex, searchBooks } = require('./search');
+const { parseCsv, parseJsonLines, toCsvLine } = require('./catalogueFiles');
+const { normalizeIsbn } = require('./isbn');
+const { sequelize } = require('./database');
+const { assertMigrated } = require('./migrate');
+const { createBroker } = require('./broker');
+const { createOutbox } = require('./outbox');
+const { createRateLimiter } = require('./rateLimit');
 
 const app = express();
-const port = 3001;
+const { port } = config;
 
+app.set('trust proxy', config.trustProxy);
 app.use(express.json());
 
-// --- Sequelize Setup ---
-const sequelize = new Sequelize({
-  dialect: 'sqlite',
-  storage: './livres.sqlite' // File-based SQLite database
-});
+// Write routes accept at most 30 requests per minute from the same client
+const writeLimiter = createRateLimiter({ windowSeconds: 60, max: 30 });
+
+// Domain events of this service (BookUpdated, BookDeleted), published through the outbox
+const { recordEvent, startRelay } = createOutbox(sequelize, 'service-livres');
 
-// Define Book Model
+// Define Book Model (the table itself is created by the migrations in ./migrations)
 const Book = sequelize.define('Book', {
   id: {
     type: DataTypes.INTEGER,
@@ -29,14 +40,135 @@ const Book = sequelize.define('Book', {
     type: DataTypes.STRING,
     allowNull: false
   },
+  isbn: {
+    type: DataTypes.STRING(13),
+    allowNull: true, // Books added before ISBNs were recorded may have none
+    unique: true,
+    // Stored as ISBN-13: an ISBN-10 or a hyphenated ISBN is converted, an invalid value is kept for the validation
+    set(value) {
+      this.setDataValue('isbn', normalizeIsbn(value) ?? value);
+    },
+    validate: {
+      isIsbn(value) {
+        // Custom validators also run when no ISBN is given, which is allowed
+        if (value != null && normalizeIsbn(value) !== value) {
+          throw new Error('ISBN invalide (ISBN-10 ou ISBN-13 avec une clé de contrôle correcte attendu)');
+        }
+      }
+    }
+  },
   year: {
     type: DataTypes.INTEGER
+  },
+  stock: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0, // Number of copies available for new orders
+    validate: {
+      min: 0
+    }
+  },
+  price: {
+    type: DataTypes.INTEGER,
+    allowNull: true, // Price in minor units (cents), a book without a price cannot be ordered
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'EUR', // ISO 4217 code
+    validate: {
+      is: /^[A-Z]{3}$/
+    }
   }
 }, {
   // Other model options
   timestamps: true // Adds createdAt and updatedAt fields
 });
 
+// Define StockRelease Model (one row per release sent with a reference, see POST /livres/stock/release)
+const StockRelease = sequelize.define('StockRelease', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+// Define StockReservation Model (one row per reservation sent with a reference, see POST /livres/stock/reserve)
+const StockReservation = sequelize.define('StockReservation', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+// Define Author and Genre Models. A book has one or more authors, in order, and any number of genres.
+const Author = sequelize.define('Author', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+const Genre = sequelize.define('Genre', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+}, {
+  timestamps: true
+});
+
+const BookAuthor = sequelize.define('BookAuthor', {
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0 // Order of the author among the authors of the book
+  }
+}, {
+  timestamps: false
+});
+
+const BookGenre = sequelize.define('BookGenre', {}, { timestamps: false });
+
+Book.belongsToMany(Author, { through: BookAuthor, as: 'authors', foreignKey: 'bookId', otherKey: 'authorId' });
+Author.belongsToMany(Book, { through: BookAuthor, as: 'books', foreignKey: 'authorId', otherKey: 'bookId' });
+BookAuthor.belongsTo(Author, { foreignKey: 'authorId' });
+Book.belongsToMany(Genre, { through: BookGenre, as: 'genres', foreignKey: 'bookId', otherKey: 'genreId' });
+Genre.belongsToMany(Book, { through: BookGenre, as: 'books', foreignKey: 'genreId', otherKey: 'bookId' });
+
 // --- Swagger Setup ---
 const swaggerOptions = {
   definition: {
@@ -57,6 +189,7 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+app.get('/api-docs.json', (req, res) => res.json(swaggerSpec)); // Raw spec, merged by the API gateway
 
 // --- Routes --- //
 
@@ -70,6 +203,19 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 /**
  * @swagger
  * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: Jeton d'accès obtenu via POST /login sur le service Utilisateurs
+ *   responses:
+ *     Unauthorized:
+ *       description: Jeton d'accès manquant, invalide ou expiré
+ *     Forbidden:
+ *       description: Réservé au personnel (rôles staff et admin)
+ *     TooManyRequests:
+ *       description: Trop de requêtes, réessayer après le délai indiqué par l'en-tête Retry-After
  *   schemas:
  *     Book:
  *       type: object
@@ -85,10 +231,38 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *           description: Titre du livre
  *         author:
  *           type: string
- *           description: Auteur du livre
+ *           description: Noms des auteurs du livre, dans l'ordre, séparés par des points-virgules
+ *         isbn:
+ *           type: string
+ *           nullable: true
+ *           pattern: '^97[89][0-9]{10}$'
+ *           description: ISBN-13 de l'édition, unique (un ISBN-10 fourni à la création est converti)
  *         year:
  *           type: integer
  *           description: Année de publication
+ *         stock:
+ *           type: integer
+ *           minimum: 0
+ *           description: Nombre d'exemplaires disponibles
+ *         price:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           description: Prix hors taxes en centimes (un livre sans prix ne peut pas être commandé)
+ *         currency:
+ *           type: string
+ *           pattern: '^[A-Z]{3}$'
+ *           description: Devise du prix (code ISO 4217)
+ *         authors:
+ *           type: array
+ *           description: Auteurs du livre, dans leur ordre (renvoyés avec un livre seul, pas dans les listes)
+ *           items:
+ *             $ref: '#/components/schemas/Author'
+ *         genres:
+ *           type: array
+ *           description: Genres du livre (renvoyés avec un livre seul, pas dans les listes)
+ *           items:
+ *             $ref: '#/components/schemas/Genre'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -101,25 +275,58 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *         id: 1
  *         title: Le Petit Prince
  *         author: Antoine de Saint-Exupéry
+ *         isbn: '9782070612758'
  *         year: 1943
+ *         stock: 12
+ *         price: 890
+ *         currency: EUR
  *         createdAt: 2023-01-01T12:00:00Z
  *         updatedAt: 2023-01-01T12:00:00Z
  *     NewBook:
  *       type: object
+ *       description: Les auteurs sont donnés par authorIds, ou par author (nom d'un auteur, créé s'il n'existe pas encore).
  *       required:
  *         - title
- *         - author
  *       properties:
  *         title:
  *           type: string
  *         author:
  *           type: string
+ *           description: Noms des auteurs, séparés par des points-virgules (chacun créé s'il n'existe pas encore)
+ *         authorIds:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: integer
+ *           description: IDs des auteurs, dans l'ordre ; prioritaire sur author
+ *         genreIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         isbn:
+ *           type: string
+ *           description: ISBN-10 ou ISBN-13, avec ou sans tirets, enregistré en ISBN-13
  *         year:
  *           type: integer
+ *         stock:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         price:
+ *           type: integer
+ *           minimum: 0
+ *           description: Prix hors taxes en centimes
+ *         currency:
+ *           type: string
+ *           default: EUR
  *       example:
  *         title: L'Étranger
  *         author: Albert Camus
+ *         isbn: 2-07-036002-4
  *         year: 1942
+ *         stock: 5
+ *         price: 750
+ *         currency: EUR
  *     UpdateBook:
  *       type: object
  *       properties:
@@ -127,11 +334,331 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *           type: string
  *         author:
  *           type: string
+ *           description: Noms des auteurs, séparés par des points-virgules (chacun créé s'il n'existe pas encore), qui remplacent les auteurs du livre
+ *         authorIds:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: integer
+ *           description: IDs des auteurs, dans l'ordre ; remplace les auteurs actuels
+ *         genreIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: IDs des genres ; remplace les genres actuels (liste vide pour les retirer)
+ *         isbn:
+ *           type: string
+ *           nullable: true
+ *           description: ISBN-10 ou ISBN-13, ou null pour retirer l'ISBN
  *         year:
  *           type: integer
+ *         stock:
+ *           type: integer
+ *           minimum: 0
+ *         price:
+ *           type: integer
+ *           minimum: 0
+ *           description: Nouveau prix en centimes (les commandes existantes conservent leur prix)
+ *         currency:
+ *           type: string
  *       example:
  *         title: L'Étranger (Updated)
  *         year: 1943
+ *         price: 790
+ *     BookPage:
+ *       type: object
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Book'
+ *         page:
+ *           type: integer
+ *           description: Numéro de la page retournée
+ *         limit:
+ *           type: integer
+ *           description: Nombre maximal de livres par page
+ *         total:
+ *           type: integer
+ *           description: Nombre total de livres correspondant aux filtres
+ *         totalPages:
+ *           type: integer
+ *         links:
+ *           type: object
+ *           properties:
+ *             self:
+ *               type: string
+ *             next:
+ *               type: string
+ *               nullable: true
+ *             prev:
+ *               type: string
+ *               nullable: true
+ *       example:
+ *         data:
+ *           - id: 1
+ *             title: Le Petit Prince
+ *             author: Antoine de Saint-Exupéry
+ *             year: 1943
+ *             stock: 12
+ *             price: 890
+ *             currency: EUR
+ *             createdAt: 2023-01-01T12:00:00Z
+ *             updatedAt: 2023-01-01T12:00:00Z
+ *         page: 2
+ *         limit: 1
+ *         total: 3
+ *         totalPages: 3
+ *         links:
+ *           self: /livres?limit=1&page=2
+ *           next: /livres?limit=1&page=3
+ *           prev: /livres?limit=1&page=1
+ *     Author:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Nom de l'auteur, unique
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 3
+ *         name: Albert Camus
+ *     Genre:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           description: Nom du genre, unique
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: Roman
+ *     NamedInput:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 255
+ *       example:
+ *         name: Albert Camus
+ *     AuthorPage:
+ *       type: object
+ *       description: Une page d'auteurs, avec les mêmes champs de pagination que BookPage
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Author'
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         totalPages:
+ *           type: integer
+ *         links:
+ *           type: object
+ *     GenrePage:
+ *       type: object
+ *       description: Une page de genres, avec les mêmes champs de pagination que BookPage
+ *       properties:
+ *         data:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Genre'
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *         totalPages:
+ *           type: integer
+ *         links:
+ *           type: object
+ *     SearchResults:
+ *       type: object
+ *       properties:
+ *         query:
+ *           type: string
+ *         data:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Book'
+ *               - type: object
+ *                 properties:
+ *                   relevance:
+ *                     type: number
+ *                     description: Score de pertinence (plus élevé = plus pertinent)
+ *                   highlight:
+ *                     type: object
+ *                     description: Titre et auteur échappés pour le HTML, avec les mots trouvés entourés de <mark>
+ *                     properties:
+ *                       title:
+ *                         type: string
+ *                       author:
+ *                         type: string
+ *         page:
+ *           type: integer
+ *         limit:
+ *           type: integer
+ *         total:
+ *           type: integer
+ *           description: Nombre total de livres correspondants
+ *       example:
+ *         query: saint-exupery
+ *         data:
+ *           - id: 1
+ *             title: Le Petit Prince
+ *             author: Antoine de Saint-Exupéry
+ *             year: 1943
+ *             stock: 12
+ *             price: 890
+ *             currency: EUR
+ *             createdAt: 2023-01-01T12:00:00Z
+ *             updatedAt: 2023-01-01T12:00:00Z
+ *             relevance: 1.42
+ *             highlight:
+ *               title: Le Petit Prince
+ *               author: Antoine de <mark>Saint</mark>-<mark>Exupéry</mark>
+ *         page: 1
+ *         limit: 20
+ *         total: 1
+ *     StockRequest:
+ *       type: object
+ *       required:
+ *         - items
+ *       properties:
+ *         items:
+ *           type: array
+ *           minItems: 1
+ *           items:
+ *             type: object
+ *             required:
+ *               - bookId
+ *               - quantity
+ *             properties:
+ *               bookId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *       example:
+ *         items:
+ *           - bookId: 1
+ *             quantity: 2
+ *           - bookId: 3
+ *             quantity: 1
+ *     StockReservationRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/StockRequest'
+ *         - type: object
+ *           properties:
+ *             reference:
+ *               type: string
+ *               maxLength: 255
+ *               description: Identifiant de la réservation, choisi par l'appelant ; une réservation déjà appliquée avec la même référence est ignorée, ce qui permet de la renvoyer sans risque
+ *       example:
+ *         items:
+ *           - bookId: 1
+ *             quantity: 2
+ *         reference: reservation-0b5e4b1c-4f0e-4c8e-9a53-7f1d2c3b4a5e
+ *     StockReleaseRequest:
+ *       allOf:
+ *         - $ref: '#/components/schemas/StockRequest'
+ *         - type: object
+ *           properties:
+ *             reference:
+ *               type: string
+ *               maxLength: 255
+ *               description: Identifiant de la remise en stock ; une remise déjà appliquée avec la même référence est ignorée, ce qui permet de la renvoyer sans risque
+ *       example:
+ *         items:
+ *           - bookId: 1
+ *             quantity: 2
+ *         reference: reservation-0b9e4f1c-3c1e-4d6a-9f5e-2a7d8c6b1e40
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         applied:
+ *           type: boolean
+ *           description: Vrai si les modifications ont été enregistrées (jamais en simulation ou en cas d'erreur)
+ *         total:
+ *           type: integer
+ *           description: Nombre de lignes de livres lues dans le fichier
+ *         created:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               line:
+ *                 type: integer
+ *                 description: Ligne du fichier
+ *               field:
+ *                 type: string
+ *                 description: Colonne en cause, absente si l'erreur concerne toute la ligne
+ *               message:
+ *                 type: string
+ *       example:
+ *         dryRun: false
+ *         applied: false
+ *         total: 3
+ *         created: 1
+ *         updated: 1
+ *         unchanged: 0
+ *         errors:
+ *           - line: 4
+ *             field: price
+ *             message: Le prix doit être un entier positif ou nul (en centimes)
+ *     StockShortage:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *         unavailable:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               bookId:
+ *                 type: integer
+ *               requested:
+ *                 type: integer
+ *               available:
+ *                 type: integer
+ *                 description: Stock actuel (0 si le livre n'existe pas)
+ *       example:
+ *         error: Stock insuffisant
+ *         unavailable:
+ *           - bookId: 3
+ *             requested: 2
+ *             available: 1
  */
 
 // Basic route to check if the service is running
@@ -139,28 +666,295 @@ app.get('/', (req, res) => {
   res.send('Service Livres is running! View API docs at /api-docs');
 });
 
+// Pagination settings for GET /livres
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ['title', 'year', 'createdAt'];
+const MAX_BATCH_IDS = 500; // Maximum number of ids (or ISBNs) accepted by GET /livres?ids= and ?isbns=
+
+// LIKE ignores case on SQLite but not on PostgreSQL, which has ILIKE for that
+const CONTAINS = sequelize.getDialect() === 'postgres' ? Op.iLike : Op.like;
+
+// Parses a positive integer query parameter, returning the default when absent and null when invalid
+const parsePositiveInt = (value, defaultValue) => {
+  if (typeof value === 'undefined' || value === '') return defaultValue;
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed >= 1 ? parsed : null;
+};
+
+// Parses a comma-separated list of ids ("1,2,3"), removing duplicates. Returns null if an id is invalid.
+const parseIdList = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  const ids = value.split(',').map(Number);
+  return ids.every(id => Number.isInteger(id) && id >= 1) ? [...new Set(ids)] : null;
+};
+
+// Parses a comma-separated list of ISBNs, normalised to ISBN-13 and without duplicates. Returns null if one is invalid.
+const parseIsbnList = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  const isbns = value.split(',').map(normalizeIsbn);
+  return isbns.every(Boolean) ? [...new Set(isbns)] : null;
+};
+
+// Builds the link to another page of the same listing, keeping the other query parameters
+const pageLink = (req, page) => {
+  const params = new URLSearchParams(req.query);
+  params.set('page', page);
+  return `${req.baseUrl}${req.path}?${params}`;
+};
+
+// Response body of a paginated listing, with the links to the neighbouring pages
+const pageOf = (req, rows, { page, limit, total }) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data: rows,
+    page,
+    limit,
+    total,
+    totalPages,
+    links: {
+      self: pageLink(req, page),
+      next: page < totalPages ? pageLink(req, page + 1) : null,
+      prev: page > 1 ? pageLink(req, Math.min(page - 1, Math.max(totalPages, 1))) : null
+    }
+  };
+};
+
+// --- Authors and genres of a book ---
+
+// Options loading the authors (in their order) and the genres of a book
+const BOOK_RELATIONS = {
+  include: [
+    { model: Author, as: 'authors', attributes: ['id', 'name'], through: { attributes: [] } },
+    { model: Genre, as: 'genres', attributes: ['id', 'name'], through: { attributes: [] } }
+  ],
+  order: [
+    [{ model: Author, as: 'authors' }, BookAuthor, 'position', 'ASC'],
+    [{ model: Genre, as: 'genres' }, 'name', 'ASC']
+  ]
+};
+
+const relationError = (message) => {
+  const error = new Error(message);
+  error.name = 'InvalidRelationError';
+  return error;
+};
+
+// Parses a list of ids sent as a JSON array, keeping their order. Returns null if an id is invalid.
+const parseIdArray = (value) => {
+  if (!Array.isArray(value) || !value.every(id => Number.isInteger(id) && id >= 1)) return null;
+  return [...new Set(value)];
+};
+
+// Finds the authors or genres with the given ids, in the same order. Throws InvalidRelationError for unknown ids.
+const findAllByIds = async (Model, ids, label, transaction) => {
+  const found = new Map((await Model.findAll({ where: { id: ids }, transaction })).map(entity => [entity.id, entity]));
+  const unknown = ids.filter(id => !found.has(id));
+  if (unknown.length > 0) {
+    throw relationError(`${label} inconnu(s) : ${unknown.join(', ')}`);
+  }
+  return ids.map(id => found.get(id));
+};
+
+// The authors with the given names, in the same order, created if no author has their name yet
+const findOrCreateAuthors = async (names, transaction) => {
+  const authors = [];
+  for (const name of names) {
+    const [author] = await Author.findOrCreate({ where: { name }, transaction });
+    authors.push(author);
+  }
+  return authors;
+};
+
+// Authors of a new or updated book: the authors listed in authorIds, or else the authors named by author,
+// separated by semicolons (created if no author has their name yet). Returns undefined when neither is given.
+const resolveAuthors = async ({ author, authorIds }, transaction) => {
+  if (authorIds !== undefined) {
+    const ids = parseIdArray(authorIds);
+    if (!ids || ids.length === 0) {
+      throw relationError('authorIds doit être une liste non vide d\'IDs d\'auteurs');
+    }
+    return findAllByIds(Author, ids, 'Auteur(s)', transaction);
+  }
+  if (author === undefined) return undefined;
+  const names = typeof author === 'string' ? splitAuthorNames(author) : [];
+  if (names.length === 0) {
+    throw relationError('author doit contenir au moins un nom d\'auteur non vide');
+  }
+  return findOrCreateAuthors(names, transaction);
+};
+
+// Genres of a new or updated book, listed in genreIds (an empty list removes them). Undefined when not given.
+const resolveGenres = async (genreIds, transaction) => {
+  if (genreIds === undefined) return undefined;
+  const ids = parseIdArray(genreIds);
+  if (!ids) {
+    throw relationError('genreIds doit être une liste d\'IDs de genres');
+  }
+  return findAllByIds(Genre, ids, 'Genre(s)', transaction);
+};
+
+// Book.author keeps the names of the authors of the book, joined with semicolons: it is the single string used
+// wherever a book is summarised (search, orders, events, export). Names often hold a comma ("Dumas, Alexandre"),
+// never a semicolon, which author names may not contain.
+const AUTHOR_SEPARATOR = ';';
+const authorNames = authors => authors.map(author => author.name).join(`${AUTHOR_SEPARATOR} `);
+
+// The reverse of authorNames, for the author field of POST and PUT /livres and the author column of an imported
+// file: "Dumas, Alexandre; Maquet, Auguste" names the authors "Dumas, Alexandre" and "Maquet, Auguste"
+const splitAuthorNames = author => [...new Set(author.split(AUTHOR_SEPARATOR).map(name => name.trim()).filter(Boolean))];
+
+const linkAuthors = async (bookId, authors, transaction) => {
+  await BookAuthor.destroy({ where: { bookId }, transaction });
+  await BookAuthor.bulkCreate(authors.map((author, position) => ({ bookId, authorId: author.id, position })), { transaction });
+};
+
+const linkGenres = async (bookId, genres, transaction) => {
+  await BookGenre.destroy({ where: { bookId }, transaction });
+  await BookGenre.bulkCreate(genres.map(genre => ({ bookId, genreId: genre.id })), { transaction });
+};
+
+// Writes the current names of its authors into Book.author, after an author was renamed
+const refreshAuthorNames = async (bookId, transaction) => {
+  const links = await BookAuthor.findAll({ where: { bookId }, include: [Author], order: [['position', 'ASC']], transaction });
+  const book = await Book.findByPk(bookId, { transaction });
+  book.author = authorNames(links.map(link => link.Author));
+  if (book.changed()) {
+    await book.save({ transaction });
+    await recordEvent('BookUpdated', { book: book.toJSON() }, { transaction });
+  }
+};
+
 /**
  * @swagger
  * /livres:
  *   get:
- *     summary: Récupère la liste de tous les livres
+ *     summary: Récupère une page de la liste des livres, avec filtres et tri
  *     tags: [Livres]
+ *     parameters:
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         description: |
+ *           IDs séparés par des virgules (500 au maximum) : tous les livres demandés sont renvoyés sur une seule page,
+ *           page et limit sont ignorés. Les IDs inconnus sont ignorés.
+ *         example: 1,2,3
+ *       - in: query
+ *         name: isbns
+ *         schema:
+ *           type: string
+ *         description: |
+ *           ISBN-10 ou ISBN-13 séparés par des virgules (500 au maximum), recherche groupée comme ids. Les ISBN
+ *           inconnus sont ignorés.
+ *         example: 9782070612758,2-07-036002-4
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Numéro de la page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Nombre de livres par page
+ *       - in: query
+ *         name: title
+ *         schema:
+ *           type: string
+ *         description: Partie du titre (insensible à la casse)
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: Partie du nom de l'auteur (insensible à la casse)
+ *       - in: query
+ *         name: yearMin
+ *         schema:
+ *           type: integer
+ *         description: Année de publication minimale (incluse)
+ *       - in: query
+ *         name: yearMax
+ *         schema:
+ *           type: integer
+ *         description: Année de publication maximale (incluse)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [title, -title, year, -year, createdAt, -createdAt]
+ *           default: createdAt
+ *         description: Champ de tri, préfixé par - pour un tri décroissant
  *     responses:
  *       200:
- *         description: La liste des livres
+ *         description: Une page de la liste des livres
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Book'
+ *               $ref: '#/components/schemas/BookPage'
+ *       400:
+ *         description: Paramètre de pagination, de filtre ou de tri invalide, ou ISBN invalide
  *       500:
  *         description: Erreur serveur
  */
 app.get('/livres', async (req, res) => {
+  const { title, author, yearMin, yearMax, sort = 'createdAt' } = req.query;
+
+  // A batch lookup by ids always fits in a single page
+  const ids = typeof req.query.ids === 'undefined' ? undefined : parseIdList(req.query.ids);
+  if (ids === null || ids?.length > MAX_BATCH_IDS) {
+    return res.status(400).send(`Le paramètre ids doit contenir de 1 à ${MAX_BATCH_IDS} IDs séparés par des virgules`);
+  }
+
+  const isbns = typeof req.query.isbns === 'undefined' ? undefined : parseIsbnList(req.query.isbns);
+  if (isbns === null || isbns?.length > MAX_BATCH_IDS) {
+    return res.status(400).send(`Le paramètre isbns doit contenir de 1 à ${MAX_BATCH_IDS} ISBN valides séparés par des virgules`);
+  }
+  const batch = ids || isbns;
+
+  const page = batch ? 1 : parsePositiveInt(req.query.page, 1);
+  const limit = batch ? batch.length : parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+  if (page === null || limit === null || (!batch && limit > MAX_PAGE_SIZE)) {
+    return res.status(400).send(`page doit être un entier positif et limit un entier entre 1 et ${MAX_PAGE_SIZE}`);
+  }
+
+  const sortField = String(sort).replace(/^-/, '');
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    return res.status(400).send(`Tri invalide (champs possibles : ${SORTABLE_FIELDS.join(', ')}, préfixés par - pour un tri décroissant)`);
+  }
+
+  const where = {};
+  if (ids) where.id = ids;
+  if (isbns) where.isbn = isbns;
+  if (title) where.title = { [CONTAINS]: `%${title}%` };
+  if (author) where.author = { [CONTAINS]: `%${author}%` };
+  if (yearMin || yearMax) {
+    const min = Number(yearMin);
+    const max = Number(yearMax);
+    if ((yearMin && !Number.isInteger(min)) || (yearMax && !Number.isInteger(max))) {
+      return res.status(400).send('yearMin et yearMax doivent être des années entières');
+    }
+    where.year = {
+      ...(yearMin && { [Op.gte]: min }),
+      ...(yearMax && { [Op.lte]: max })
+    };
+  }
+
   try {
-    const books = await Book.findAll();
-    res.json(books);
+    const { count, rows } = await Book.findAndCountAll({
+      where,
+      // id as a tie-breaker keeps the pages stable when several books share the sorted value
+      order: [[sortField, String(sort).startsWith('-') ? 'DESC' : 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(pageOf(req, rows, { page, limit, total: count }));
   } catch (error) {
     console.error("Error fetching books:", error);
     res.status(500).send('Erreur serveur lors de la récupération des livres');
@@ -169,50 +963,493 @@ app.get('/livres', async (req, res) => {
 
 /**
  * @swagger
- * /livres/{id}:
+ * /livres/search:
  *   get:
- *     summary: Récupère un livre par son ID
+ *     summary: Recherche plein texte dans les titres et les auteurs
+ *     description: |
+ *       Chaque mot de la recherche doit apparaître dans le titre ou l'auteur, éventuellement comme début de mot
+ *       ("exup" trouve "Exupéry"). La recherche ignore la casse et les accents. Les résultats sont triés par pertinence,
+ *       un mot trouvé dans le titre comptant plus qu'un mot trouvé dans l'auteur.
  *     tags: [Livres]
  *     parameters:
- *       - in: path
- *         name: id
+ *       - in: query
+ *         name: q
  *         schema:
- *           type: integer
+ *           type: string
  *         required: true
- *         description: ID du livre
+ *         description: Texte recherché
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
  *     responses:
  *       200:
- *         description: Détails du livre
+ *         description: Livres correspondants, du plus pertinent au moins pertinent
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Book'
- *       404:
- *         description: Livre non trouvé
+ *               $ref: '#/components/schemas/SearchResults'
+ *       400:
+ *         description: Paramètre q manquant ou pagination invalide
  *       500:
  *         description: Erreur serveur
  */
-app.get('/livres/:id', async (req, res) => {
+app.get('/livres/search', async (req, res) => {
+  const { q } = req.query;
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).send('Le paramètre q est requis');
+  }
+  if (page === null || limit === null || limit > MAX_PAGE_SIZE) {
+    return res.status(400).send(`page doit être un entier positif et limit un entier entre 1 et ${MAX_PAGE_SIZE}`);
+  }
+
   try {
-    const bookId = parseInt(req.params.id);
-    const book = await Book.findByPk(bookId);
-    if (book) {
-      res.json(book);
-    } else {
-      res.status(404).send('Livre non trouvé');
-    }
+    const { total, rows } = await searchBooks(sequelize, { text: q, limit, offset: (page - 1) * limit });
+    res.json({ query: q, data: rows, page, limit, total });
   } catch (error) {
-     console.error(`Error fetching book ${req.params.id}:`, error);
-     res.status(500).send('Erreur serveur lors de la récupération du livre');
+    console.error(`Error searching books for "${q}":`, error);
+    res.status(500).send('Erreur serveur lors de la recherche de livres');
   }
 });
 
-/**
- * @swagger
+// --- Catalogue import and export ---
+
+// Columns of an imported book. Books are matched on their ISBN, or on their title and author for a line without
+// ISBN: a line whose book already exists updates it, any other line creates a book.
+const IMPORT_FIELDS = ['title', 'author', 'isbn', 'year', 'stock', 'price', 'currency'];
+const IGNORED_COLUMNS = ['id', 'createdAt', 'updatedAt']; // Written by the export, so that its files can be imported
+const IMPORT_FORMATS = {
+  csv: { types: ['text/csv'], parse: parseCsv },
+  jsonl: { types: ['application/jsonl', 'application/x-ndjson', 'application/x-jsonlines'], parse: parseJsonLines }
+};
+const EXPORT_COLUMNS = ['id', ...IMPORT_FIELDS];
+const EXPORT_BATCH_SIZE = 500; // Books read from the database at a time while exporting
+
+const importFormatOf = req => Object.keys(IMPORT_FORMATS).find(format => req.is(IMPORT_FORMATS[format].types));
+
+// An empty value leaves the field as it is (or takes its default for a new book)
+const isBlank = value => value === undefined || (typeof value === 'string' && !value.trim());
+
+const parseInteger = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? value : NaN;
+  return typeof value === 'string' && /^\s*-?\d+\s*$/.test(value) ? Number(value) : NaN;
+};
+
+// Validates one line of an imported file. Returns the fields to write, the names of the authors (the author
+// column lists them joined with semicolons, as written by the export) and the errors of the line.
+const parseImportedBook = (values) => {
+  const fields = {};
+  const errors = [];
+  let authors = [];
+  for (const field of ['title', 'author']) {
+    if (isBlank(values[field]) || values[field] === null) {
+      errors.push({ field, message: 'Valeur requise' });
+    } else if (typeof values[field] !== 'string') {
+      errors.push({ field, message: 'Une chaîne de caractères est attendue' });
+    } else {
+      fields[field] = values[field].trim();
+    }
+  }
+  if (fields.author !== undefined) {
+    authors = splitAuthorNames(fields.author);
+    if (authors.length === 0) {
+      errors.push({ field: 'author', message: 'Valeur requise' });
+    }
+    fields.author = authors.join(`${AUTHOR_SEPARATOR} `); // Spelled as authorNames writes it, so that the book is found again
+  }
+  if (values.isbn === null) {
+    fields.isbn = null; // Only possible in JSON lines: removes the ISBN
+  } else if (!isBlank(values.isbn)) {
+    fields.isbn = normalizeIsbn(String(values.isbn));
+    if (!fields.isbn) errors.push({ field: 'isbn', message: 'ISBN invalide (ISBN-10 ou ISBN-13 avec une clé de contrôle correcte attendu)' });
+  }
+  const integers = {
+    year: { nullable: true, min: -Infinity, message: 'L\'année doit être un entier' },
+    stock: { nullable: false, min: 0, message: 'Le stock doit être un entier positif ou nul' },
+    price: { nullable: true, min: 0, message: 'Le prix doit être un entier positif ou nul (en centimes)' }
+  };
+  for (const [field, { nullable, min, message }] of Object.entries(integers)) {
+    if (isBlank(values[field])) continue;
+    if (values[field] === null && nullable) {
+      fields[field] = null; // Only possible in JSON lines: clears the year or the price
+      continue;
+    }
+    const number = parseInteger(values[field]);
+    if (Number.isInteger(number) && number >= min) {
+      fields[field] = number;
+    } else {
+      errors.push({ field, message });
+    }
+  }
+  if (!isBlank(values.currency)) {
+    if (typeof values.currency === 'string' && /^[A-Z]{3}$/.test(values.currency.trim())) {
+      fields.currency = values.currency.trim();
+    } else {
+      errors.push({ field: 'currency', message: 'La devise doit être un code ISO 4217 en majuscules (EUR)' });
+    }
+  }
+  return { fields, authors, errors };
+};
+
+/**
+ * @swagger
+ * /livres/import:
+ *   post:
+ *     summary: Importe des livres depuis un fichier CSV ou JSON lines (personnel uniquement)
+ *     description: |
+ *       Chaque ligne décrit un livre avec les colonnes title, author, isbn, year, stock, price (en centimes) et
+ *       currency ; les colonnes id, createdAt et updatedAt, écrites par l'export, sont ignorées. Une ligne met à jour
+ *       le livre de même ISBN, ou à défaut de même titre et même auteur (un livre sans ISBN reçoit alors celui de la
+ *       ligne) ; les autres lignes créent des livres. Une valeur vide laisse le champ inchangé. La colonne author
+ *       liste les auteurs du livre séparés par des points-virgules, comme l'export l'écrit (un auteur inconnu est
+ *       créé) ; une virgule fait partie du nom (« Dumas, Alexandre »).
+ *
+ *       Le fichier CSV commence par la ligne des noms de colonnes, séparées par des virgules ou des points-virgules.
+ *       En JSON lines, chaque ligne est un objet JSON.
+ *
+ *       L'import est appliqué en une seule transaction : si une ligne est invalide, aucune n'est enregistrée et
+ *       toutes les erreurs sont renvoyées. Avec dryRun=true, le fichier est vérifié et le résultat calculé sans rien
+ *       enregistrer.
+ *     tags: [Livres]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Simulation, rien n'est enregistré
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             title,author,isbn,year,stock,price,currency
+ *             L'Étranger,Albert Camus,978-2-07-036002-4,1942,5,750,EUR
+ *             "Vingt mille lieues sous les mers",Jules Verne,,1870,3,990,EUR
+ *         application/jsonl:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             {"title":"L'Étranger","author":"Albert Camus","isbn":"2070360024","year":1942,"stock":5,"price":750}
+ *     responses:
+ *       200:
+ *         description: Import appliqué, ou simulation terminée (les erreurs éventuelles sont listées)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Fichier illisible, colonnes inconnues ou colonnes title et author absentes
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       413:
+ *         description: Fichier trop volumineux (IMPORT_MAX_SIZE)
+ *       415:
+ *         description: Type de contenu autre que text/csv ou application/jsonl
+ *       422:
+ *         description: Lignes invalides, rien n'a été enregistré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/livres/import', writeLimiter, authenticate, requireRole('staff', 'admin'),
+  express.text({ type: Object.values(IMPORT_FORMATS).flatMap(format => format.types), limit: config.importMaxSize }),
+  async (req, res) => {
+    const format = importFormatOf(req);
+    if (!format) {
+      return res.status(415).send('Le fichier doit être envoyé en text/csv ou en application/jsonl');
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    let file;
+    try {
+      file = IMPORT_FORMATS[format].parse(typeof req.body === 'string' ? req.body : '');
+    } catch (error) {
+      if (error.name === 'CatalogueFileError') return res.status(400).send(error.message);
+      throw error;
+    }
+    const unknown = file.columns.filter(column => !IMPORT_FIELDS.includes(column) && !IGNORED_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      return res.status(400).send(`Colonnes inconnues : ${unknown.join(', ')} (colonnes possibles : ${IMPORT_FIELDS.join(', ')})`);
+    }
+    if (format === 'csv' && !['title', 'author'].every(column => file.columns.includes(column))) {
+      return res.status(400).send('Les colonnes title et author sont requises');
+    }
+
+    const report = { dryRun, applied: false, total: file.records.length, created: 0, updated: 0, unchanged: 0, errors: [] };
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const seen = new Map(); // Natural key -> line, to report a book present twice in the file
+        for (const { line, values } of file.records) {
+          const { fields, authors, errors } = parseImportedBook(values);
+          if (errors.length > 0) {
+            report.errors.push(...errors.map(error => ({ line, ...error })));
+            continue;
+          }
+          const key = fields.isbn ? fields.isbn : JSON.stringify([fields.title, fields.author]);
+          if (seen.has(key)) {
+            const same = fields.isbn ? 'Même ISBN' : 'Même titre et même auteur';
+            report.errors.push({ line, message: `${same} que la ligne ${seen.get(key)}` });
+            continue;
+          }
+          seen.set(key, line);
+
+          // A book added without ISBN gets the ISBN of the line that has the same title and author
+          const byTitle = { title: fields.title, author: fields.author, ...(fields.isbn && { isbn: null }) };
+          let matches = fields.isbn ? await Book.findAll({ where: { isbn: fields.isbn }, transaction }) : [];
+          if (matches.length === 0) {
+            matches = await Book.findAll({ where: byTitle, limit: 2, transaction });
+          }
+          if (matches.length > 1) {
+            report.errors.push({ line, message: 'Plusieurs livres du catalogue ont ce titre et cet auteur, précisez l\'ISBN' });
+            continue;
+          }
+          try {
+            if (matches.length === 0) {
+              const book = await Book.create(fields, { transaction });
+              await linkAuthors(book.id, await findOrCreateAuthors(authors, transaction), transaction);
+              report.created++;
+            } else {
+              const [book] = matches;
+              book.set(fields);
+              if (!book.changed()) {
+                report.unchanged++;
+                continue;
+              }
+              if (book.changed('author')) {
+                await linkAuthors(book.id, await findOrCreateAuthors(authors, transaction), transaction);
+              }
+              await book.save({ transaction });
+              await recordEvent('BookUpdated', { book: book.toJSON() }, { transaction });
+              report.updated++;
+            }
+          } catch (error) {
+            if (error.name !== 'SequelizeValidationError') throw error;
+            report.errors.push(...error.errors.map(item => ({ line, field: item.path, message: item.message })));
+          }
+        }
+        // Throwing rolls back the whole import
+        if (dryRun || report.errors.length > 0) {
+          const rollback = new Error('Import non appliqué');
+          rollback.name = 'ImportRollback';
+          throw rollback;
+        }
+      });
+      report.applied = true;
+      console.log(`Catalogue imported by user ${req.user.id}: ${report.created} created, ${report.updated} updated, ${report.unchanged} unchanged`);
+    } catch (error) {
+      if (error.name !== 'ImportRollback') {
+        console.error('Error importing the catalogue:', error);
+        return res.status(500).send('Erreur serveur lors de l\'import du catalogue');
+      }
+    }
+    res.status(!dryRun && report.errors.length > 0 ? 422 : 200).json(report);
+  });
+
+// Resolves once the response can take more data, or when the client has gone away
+const drained = res => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * @swagger
+ * /livres/export:
+ *   get:
+ *     summary: Exporte tout le catalogue en CSV ou JSON lines (personnel uniquement)
+ *     description: |
+ *       Les livres sont envoyés par lots, triés par ID, à mesure qu'ils sont lus : le catalogue n'est jamais chargé
+ *       en entier en mémoire. Le fichier obtenu peut être modifié puis renvoyé à POST /livres/import.
+ *       En CSV, un texte commençant par =, +, -, @ ou une tabulation est précédé d'une apostrophe pour qu'un
+ *       tableur ne l'exécute pas comme une formule ; l'import retire cette apostrophe.
+ *     tags: [Livres]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, jsonl]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Le catalogue, en pièce jointe
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/jsonl:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Format inconnu
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/livres/export', authenticate, requireRole('staff', 'admin'), async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!Object.hasOwn(IMPORT_FORMATS, format)) {
+    return res.status(400).send(`Format inconnu (formats possibles : ${Object.keys(IMPORT_FORMATS).join(', ')})`);
+  }
+  const toLine = format === 'csv'
+    ? book => toCsvLine(EXPORT_COLUMNS.map(column => book[column]))
+    : book => `${JSON.stringify(book)}\n`;
+
+  try {
+    let lastId = 0;
+    for (;;) {
+      // Keyset pagination: each batch starts after the last book sent
+      const books = await Book.findAll({
+        attributes: EXPORT_COLUMNS,
+        where: { id: { [Op.gt]: lastId } },
+        order: [['id', 'ASC']],
+        limit: EXPORT_BATCH_SIZE,
+        raw: true
+      });
+      if (!res.headersSent) {
+        res.set('Content-Type', `${IMPORT_FORMATS[format].types[0]}; charset=utf-8`);
+        res.attachment(`catalogue.${format}`);
+        if (format === 'csv') res.write(toCsvLine(EXPORT_COLUMNS));
+      }
+      if (books.length === 0) break;
+      if (!res.write(books.map(toLine).join('')) && !res.destroyed) await drained(res);
+      if (res.destroyed) return; // Client gone
+      lastId = books[books.length - 1].id;
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting the catalogue:', error);
+    if (!res.headersSent) return res.status(500).send('Erreur serveur lors de l\'export du catalogue');
+    res.destroy(error); // The client sees a truncated download rather than a file that looks complete
+  }
+});
+
+/**
+ * @swagger
+ * /livres/isbn/{isbn}:
+ *   get:
+ *     summary: Récupère un livre par son ISBN
+ *     tags: [Livres]
+ *     parameters:
+ *       - in: path
+ *         name: isbn
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ISBN-10 ou ISBN-13, avec ou sans tirets
+ *         example: 978-2-07-061275-8
+ *     responses:
+ *       200:
+ *         description: Détails du livre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Book'
+ *       400:
+ *         description: ISBN invalide
+ *       404:
+ *         description: Aucun livre avec cet ISBN
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/livres/isbn/:isbn', async (req, res) => {
+  const isbn = normalizeIsbn(req.params.isbn);
+  if (!isbn) {
+    return res.status(400).send('ISBN invalide (ISBN-10 ou ISBN-13 avec une clé de contrôle correcte attendu)');
+  }
+  try {
+    const book = await Book.findOne({ where: { isbn }, ...BOOK_RELATIONS });
+    if (!book) {
+      return res.status(404).send(`Aucun livre avec l'ISBN ${isbn}`);
+    }
+    res.json(book);
+  } catch (error) {
+    console.error(`Error fetching book with ISBN ${isbn}:`, error);
+    res.status(500).send('Erreur serveur lors de la récupération du livre');
+  }
+});
+
+/**
+ * @swagger
+ * /livres/{id}:
+ *   get:
+ *     summary: Récupère un livre par son ID
+ *     tags: [Livres]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID du livre
+ *     responses:
+ *       200:
+ *         description: Détails du livre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Book'
+ *       404:
+ *         description: Livre non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/livres/:id', async (req, res) => {
+  try {
+    const bookId = parseInt(req.params.id);
+    const book = await Book.findByPk(bookId, BOOK_RELATIONS);
+    if (book) {
+      res.json(book);
+    } else {
+      res.status(404).send('Livre non trouvé');
+    }
+  } catch (error) {
+     console.error(`Error fetching book ${req.params.id}:`, error);
+     res.status(500).send('Erreur serveur lors de la récupération du livre');
+  }
+});
+
+/**
+ * @swagger
  * /livres:
  *   post:
- *     summary: Ajoute un nouveau livre
+ *     summary: Ajoute un nouveau livre (personnel uniquement)
  *     tags: [Livres]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -227,24 +1464,47 @@ app.get('/livres/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Book'
  *       400:
- *         description: Données d'entrée invalides
+ *         description: Données d'entrée invalides (dont un ISBN invalide ou un auteur ou genre inconnu)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Un livre avec cet ISBN existe déjà
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Erreur serveur
  */
-app.post('/livres', async (req, res) => {
+app.post('/livres', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
   try {
-    const { title, author, year } = req.body;
-    if (!title || !author) {
-      return res.status(400).send('Titre et auteur sont requis');
+    const { title, author, authorIds, genreIds, isbn, year, stock, price, currency } = req.body;
+    if (!title || (!author && authorIds === undefined)) {
+      return res.status(400).send('Titre et auteur (author ou authorIds) sont requis');
     }
-    const newBook = await Book.create({ title, author, year });
-    res.status(201).json(newBook);
+    const newBook = await sequelize.transaction(async (transaction) => {
+      const authors = await resolveAuthors({ author, authorIds }, transaction);
+      const genres = await resolveGenres(genreIds, transaction);
+      const book = await Book.create({
+        title, author: authorNames(authors), isbn, year, stock, price, currency
+      }, { transaction });
+      await linkAuthors(book.id, authors, transaction);
+      if (genres) await linkGenres(book.id, genres, transaction);
+      return book;
+    });
+    res.status(201).json(await Book.findByPk(newBook.id, BOOK_RELATIONS));
   } catch (error) {
     console.error("Error creating book:", error);
     // Check for validation errors from Sequelize
     if (error.name === 'SequelizeValidationError') {
        return res.status(400).json({ error: error.message, details: error.errors });
     }
+    if (error.name === 'InvalidRelationError') {
+      return res.status(400).send(error.message);
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).send(`Un livre avec l'ISBN ${normalizeIsbn(req.body.isbn)} existe déjà`);
+    }
     res.status(500).send('Erreur serveur lors de la création du livre');
   }
 });
@@ -253,8 +1513,10 @@ app.post('/livres', async (req, res) => {
  * @swagger
  * /livres/{id}:
  *   put:
- *     summary: Met à jour un livre existant par son ID
+ *     summary: Met à jour un livre existant par son ID (personnel uniquement)
  *     tags: [Livres]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -276,13 +1538,21 @@ app.post('/livres', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Book'
  *       400:
- *         description: Données d'entrée invalides ou aucun champ fourni
+ *         description: Données d'entrée invalides (dont un auteur ou genre inconnu) ou aucun champ fourni
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Livre non trouvé
+ *       409:
+ *         description: Un autre livre a déjà cet ISBN
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Erreur serveur
  */
-app.put('/livres/:id', async (req, res) => {
+app.put('/livres/:id', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
   try {
     const bookId = parseInt(req.params.id);
     const book = await Book.findByPk(bookId);
@@ -290,24 +1560,41 @@ app.put('/livres/:id', async (req, res) => {
       return res.status(404).send('Livre non trouvé');
     }
 
-    const { title, author, year } = req.body;
+    const { title, author, authorIds, genreIds, isbn, year, stock, price, currency } = req.body;
     // Basic validation - could be more robust
-    if (!title && !author && typeof year === 'undefined') {
-       return res.status(400).send('Au moins un champ (titre, auteur, année) doit être fourni pour la mise à jour');
+    if (!title && !author && [authorIds, genreIds, isbn, year, stock, price, currency].every(value => typeof value === 'undefined')) {
+       return res.status(400).send('Au moins un champ (titre, auteur, genres, ISBN, année, stock, prix, devise) doit être fourni pour la mise à jour');
     }
 
     // Update fields only if they are provided in the request body
     if (title) book.title = title;
-    if (author) book.author = author;
+    if (typeof isbn !== 'undefined') book.isbn = isbn; // null removes the ISBN
     if (typeof year !== 'undefined') book.year = year; // Allow updating year to null/0 if intended
+    if (typeof stock !== 'undefined') book.stock = stock;
+    if (typeof price !== 'undefined') book.price = price;
+    if (currency) book.currency = currency;
 
-    await book.save(); // Save the changes
-    res.json(book);
+    await sequelize.transaction(async (transaction) => {
+      const authors = author || authorIds !== undefined ? await resolveAuthors({ author, authorIds }, transaction) : undefined;
+      const genres = await resolveGenres(genreIds, transaction);
+      if (authors) book.author = authorNames(authors);
+      await book.save({ transaction }); // Save the changes
+      if (authors) await linkAuthors(book.id, authors, transaction);
+      if (genres) await linkGenres(book.id, genres, transaction);
+      await recordEvent('BookUpdated', { book: book.toJSON() }, { transaction });
+    });
+    res.json(await Book.findByPk(book.id, BOOK_RELATIONS));
   } catch (error) {
       console.error(`Error updating book ${req.params.id}:`, error);
       if (error.name === 'SequelizeValidationError') {
          return res.status(400).json({ error: error.message, details: error.errors });
       }
+      if (error.name === 'InvalidRelationError') {
+        return res.status(400).send(error.message);
+      }
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).send(`Un autre livre a déjà l'ISBN ${normalizeIsbn(req.body.isbn)}`);
+      }
       res.status(500).send('Erreur serveur lors de la mise à jour du livre');
   }
 });
@@ -316,8 +1603,10 @@ app.put('/livres/:id', async (req, res) => {
  * @swagger
  * /livres/{id}:
  *   delete:
- *     summary: Supprime un livre par son ID
+ *     summary: Supprime un livre par son ID (personnel uniquement)
  *     tags: [Livres]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -328,18 +1617,27 @@ app.put('/livres/:id', async (req, res) => {
  *     responses:
  *       204:
  *         description: Livre supprimé avec succès (pas de contenu)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         description: Livre non trouvé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Erreur serveur
  */
-app.delete('/livres/:id', async (req, res) => {
+app.delete('/livres/:id', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
   try {
     const bookId = parseInt(req.params.id);
     const book = await Book.findByPk(bookId);
 
     if (book) {
-      await book.destroy(); // Delete the book
+      await sequelize.transaction(async (transaction) => {
+        await book.destroy({ transaction }); // Delete the book
+        await recordEvent('BookDeleted', { bookId: book.id, title: book.title, author: book.author }, { transaction });
+      });
       res.status(204).send(); // No content, successful deletion
     } else {
       res.status(404).send('Livre non trouvé');
@@ -350,20 +1648,842 @@ app.delete('/livres/:id', async (req, res) => {
   }
 });
 
+// --- Authors and genres ---
+
+const MAX_NAME_LENGTH = 255;
+
+// Author and genre routes differ only by these, apart from renaming and deleting. checkName returns the reason
+// a valid name is refused, or null.
+const AUTHORS = {
+  Model: Author,
+  as: 'authors', // Association of Book with the model
+  label: 'auteur',
+  of: 'de l\'auteur',
+  notFound: 'Auteur non trouvé',
+  checkName: name => (name.includes(AUTHOR_SEPARATOR)
+    ? `Un nom d'auteur ne peut pas contenir « ${AUTHOR_SEPARATOR} », qui sépare les auteurs d'un livre`
+    : null)
+};
+const GENRES = {
+  Model: Genre,
+  as: 'genres',
+  label: 'genre',
+  of: 'du genre',
+  notFound: 'Genre non trouvé',
+  checkName: () => null
+};
+
+// Validates the { name } body of an author or a genre, returning the trimmed name or null
+const parseName = (body) => {
+  const name = typeof body?.name === 'string' ? body.name.trim() : '';
+  return name && name.length <= MAX_NAME_LENGTH ? name : null;
+};
+
+const parsePage = (req) => {
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+  return page === null || limit === null || limit > MAX_PAGE_SIZE ? null : { page, limit };
+};
+
+// GET /auteurs and GET /genres: a page of the list, by name, optionally filtered on part of the name
+const listNamed = ({ Model, label }) => async (req, res) => {
+  const paging = parsePage(req);
+  if (!paging) {
+    return res.status(400).send(`page doit être un entier positif et limit un entier entre 1 et ${MAX_PAGE_SIZE}`);
+  }
+  const { page, limit } = paging;
+  const where = req.query.name ? { name: { [CONTAINS]: `%${req.query.name}%` } } : {};
+  try {
+    const { count, rows } = await Model.findAndCountAll({
+      where,
+      order: [['name', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json(pageOf(req, rows, { page, limit, total: count }));
+  } catch (error) {
+    console.error(`Error fetching the list of ${Model.name}s:`, error);
+    res.status(500).send(`Erreur serveur lors de la récupération des ${label}s`);
+  }
+};
+
+const getNamed = ({ Model, of, notFound }) => async (req, res) => {
+  try {
+    const entity = await Model.findByPk(parseInt(req.params.id));
+    if (!entity) {
+      return res.status(404).send(notFound);
+    }
+    res.json(entity);
+  } catch (error) {
+    console.error(`Error fetching ${Model.name} ${req.params.id}:`, error);
+    res.status(500).send(`Erreur serveur lors de la récupération ${of}`);
+  }
+};
+
+const createNamed = ({ Model, label, of, checkName }) => async (req, res) => {
+  const name = parseName(req.body);
+  if (!name) {
+    return res.status(400).send(`Un nom (name) de 1 à ${MAX_NAME_LENGTH} caractères est requis`);
+  }
+  const nameError = checkName(name);
+  if (nameError) {
+    return res.status(400).send(nameError);
+  }
+  try {
+    const entity = await Model.create({ name });
+    res.status(201).json(entity);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).send(`Un ${label} porte déjà le nom ${name}`);
+    }
+    console.error(`Error creating ${Model.name}:`, error);
+    res.status(500).send(`Erreur serveur lors de la création ${of}`);
+  }
+};
+
+// GET /auteurs/{id}/livres and GET /genres/{id}/livres: a page of the books of the author or of the genre, by title
+const listBooksOf = ({ Model, as, notFound }) => async (req, res) => {
+  const paging = parsePage(req);
+  if (!paging) {
+    return res.status(400).send(`page doit être un entier positif et limit un entier entre 1 et ${MAX_PAGE_SIZE}`);
+  }
+  const { page, limit } = paging;
+  try {
+    const entity = await Model.findByPk(parseInt(req.params.id));
+    if (!entity) {
+      return res.status(404).send(notFound);
+    }
+    // A plain join with the link table (a book is linked once to an author or a genre), so that the database
+    // only reads and counts the books of the page
+    const { count, rows } = await Book.findAndCountAll({
+      include: [{ model: Model, as, where: { id: entity.id }, attributes: [], through: { attributes: [] }, required: true }],
+      subQuery: false,
+      order: [['title', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+    res.json(pageOf(req, rows, { page, limit, total: count }));
+  } catch (error) {
+    console.error(`Error fetching the books of ${Model.name} ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la récupération des livres');
+  }
+};
+
+// Shared by the update routes of authors and genres
+const findNamedForUpdate = async ({ Model, notFound, checkName }, req, res) => {
+  const name = parseName(req.body);
+  if (!name) {
+    res.status(400).send(`Un nom (name) de 1 à ${MAX_NAME_LENGTH} caractères est requis`);
+    return {};
+  }
+  const nameError = checkName(name);
+  if (nameError) {
+    res.status(400).send(nameError);
+    return {};
+  }
+  const entity = await Model.findByPk(parseInt(req.params.id));
+  if (!entity) {
+    res.status(404).send(notFound);
+    return {};
+  }
+  return { entity, name };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Auteurs
+ *     description: Auteurs des livres
+ *   - name: Genres
+ *     description: Genres (catégories) des livres
+ */
+
+/**
+ * @swagger
+ * /auteurs:
+ *   get:
+ *     summary: Récupère une page de la liste des auteurs, par ordre alphabétique
+ *     tags: [Auteurs]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Partie du nom (insensible à la casse)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Une page de la liste des auteurs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthorPage'
+ *       400:
+ *         description: Pagination invalide
+ *       500:
+ *         description: Erreur serveur
+ *   post:
+ *     summary: Ajoute un auteur (personnel uniquement)
+ *     tags: [Auteurs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NamedInput'
+ *     responses:
+ *       201:
+ *         description: Auteur créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Nom manquant ou trop long, ou contenant un point-virgule
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Un auteur porte déjà ce nom
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/auteurs', listNamed(AUTHORS));
+app.post('/auteurs', writeLimiter, authenticate, requireRole('staff', 'admin'), createNamed(AUTHORS));
+
+/**
+ * @swagger
+ * /auteurs/{id}:
+ *   get:
+ *     summary: Récupère un auteur par son ID
+ *     tags: [Auteurs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: L'auteur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Author'
+ *       404:
+ *         description: Auteur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ *   put:
+ *     summary: Renomme un auteur (personnel uniquement)
+ *     description: Le champ author de ses livres est mis à jour avec le nouveau nom.
+ *     tags: [Auteurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NamedInput'
+ *     responses:
+ *       200:
+ *         description: Auteur renommé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Author'
+ *       400:
+ *         description: Nom manquant ou trop long, ou contenant un point-virgule
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Auteur non trouvé
+ *       409:
+ *         description: Un autre auteur porte déjà ce nom
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ *   delete:
+ *     summary: Supprime un auteur sans livre (personnel uniquement)
+ *     tags: [Auteurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Auteur supprimé
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Auteur non trouvé
+ *       409:
+ *         description: L'auteur a encore des livres, à attribuer à un autre auteur avant de le supprimer
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/auteurs/:id', getNamed(AUTHORS));
+
+app.put('/auteurs/:id', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const { entity: author, name } = await findNamedForUpdate(AUTHORS, req, res);
+    if (!author) return;
+    await sequelize.transaction(async (transaction) => {
+      author.name = name;
+      await author.save({ transaction });
+      // The books of the author show the new name
+      const links = await BookAuthor.findAll({ where: { authorId: author.id }, transaction });
+      for (const { bookId } of links) {
+        await refreshAuthorNames(bookId, transaction);
+      }
+    });
+    res.json(author);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).send(`Un autre auteur porte déjà le nom ${req.body.name.trim()}`);
+    }
+    console.error(`Error updating author ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la mise à jour de l\'auteur');
+  }
+});
+
+app.delete('/auteurs/:id', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const author = await Author.findByPk(parseInt(req.params.id));
+    if (!author) {
+      return res.status(404).send('Auteur non trouvé');
+    }
+    // Every book keeps at least one author
+    const books = await BookAuthor.count({ where: { authorId: author.id } });
+    if (books > 0) {
+      return res.status(409).send(`Cet auteur a encore ${books} livre(s) : attribuez-les à un autre auteur avant de le supprimer`);
+    }
+    await author.destroy();
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting author ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la suppression de l\'auteur');
+  }
+});
+
+/**
+ * @swagger
+ * /auteurs/{id}/livres:
+ *   get:
+ *     summary: Récupère une page des livres d'un auteur, par titre
+ *     tags: [Auteurs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Une page des livres de l'auteur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookPage'
+ *       400:
+ *         description: Pagination invalide
+ *       404:
+ *         description: Auteur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/auteurs/:id/livres', listBooksOf(AUTHORS));
+
+/**
+ * @swagger
+ * /genres:
+ *   get:
+ *     summary: Récupère une page de la liste des genres, par ordre alphabétique
+ *     tags: [Genres]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Partie du nom (insensible à la casse)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Une page de la liste des genres
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GenrePage'
+ *       400:
+ *         description: Pagination invalide
+ *       500:
+ *         description: Erreur serveur
+ *   post:
+ *     summary: Ajoute un genre (personnel uniquement)
+ *     tags: [Genres]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NamedInput'
+ *     responses:
+ *       201:
+ *         description: Genre créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Genre'
+ *       400:
+ *         description: Nom manquant ou trop long
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Un genre porte déjà ce nom
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/genres', listNamed(GENRES));
+app.post('/genres', writeLimiter, authenticate, requireRole('staff', 'admin'), createNamed(GENRES));
+
+/**
+ * @swagger
+ * /genres/{id}:
+ *   get:
+ *     summary: Récupère un genre par son ID
+ *     tags: [Genres]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Le genre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Genre'
+ *       404:
+ *         description: Genre non trouvé
+ *       500:
+ *         description: Erreur serveur
+ *   put:
+ *     summary: Renomme un genre (personnel uniquement)
+ *     tags: [Genres]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NamedInput'
+ *     responses:
+ *       200:
+ *         description: Genre renommé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Genre'
+ *       400:
+ *         description: Nom manquant ou trop long
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Genre non trouvé
+ *       409:
+ *         description: Un autre genre porte déjà ce nom
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ *   delete:
+ *     summary: Supprime un genre (personnel uniquement)
+ *     description: Les livres du genre sont conservés, ils perdent seulement ce genre.
+ *     tags: [Genres]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Genre supprimé
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Genre non trouvé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/genres/:id', getNamed(GENRES));
+
+app.put('/genres/:id', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const { entity: genre, name } = await findNamedForUpdate(GENRES, req, res);
+    if (!genre) return;
+    genre.name = name;
+    await genre.save();
+    res.json(genre);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).send(`Un autre genre porte déjà le nom ${req.body.name.trim()}`);
+    }
+    console.error(`Error updating genre ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la mise à jour du genre');
+  }
+});
+
+app.delete('/genres/:id', writeLimiter, authenticate, requireRole('staff', 'admin'), async (req, res) => {
+  try {
+    const genre = await Genre.findByPk(parseInt(req.params.id));
+    if (!genre) {
+      return res.status(404).send('Genre non trouvé');
+    }
+    await sequelize.transaction(async (transaction) => {
+      await BookGenre.destroy({ where: { genreId: genre.id }, transaction });
+      await genre.destroy({ transaction });
+    });
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting genre ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la suppression du genre');
+  }
+});
+
+/**
+ * @swagger
+ * /genres/{id}/livres:
+ *   get:
+ *     summary: Récupère une page des livres d'un genre, par titre
+ *     tags: [Genres]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Une page des livres du genre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BookPage'
+ *       400:
+ *         description: Pagination invalide
+ *       404:
+ *         description: Genre non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/genres/:id/livres', listBooksOf(GENRES));
+
+// Validates the { items: [{ bookId, quantity }] } body of the stock endpoints and merges lines of the same book
+const parseStockItems = (body) => {
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    return null;
+  }
+  const quantities = new Map();
+  for (const line of body.items) {
+    const bookId = Number(line?.bookId);
+    const quantity = Number(line?.quantity);
+    if (!Number.isInteger(bookId) || !Number.isInteger(quantity) || quantity < 1) {
+      return null;
+    }
+    quantities.set(bookId, (quantities.get(bookId) || 0) + quantity);
+  }
+  return [...quantities].map(([bookId, quantity]) => ({ bookId, quantity }));
+};
+
+// The optional reference of a reservation or a release, which makes sending it again harmless
+const isInvalidReference = (reference) =>
+  reference !== undefined && (typeof reference !== 'string' || !reference || reference.length > 255);
+
+/**
+ * @swagger
+ * /livres/stock/reserve:
+ *   post:
+ *     summary: Réserve des exemplaires pour une commande (appel interne du service Commandes)
+ *     description: Toutes les lignes sont réservées ou aucune. Le stock ne peut jamais devenir négatif, même avec des réservations concurrentes.
+ *       Avec une référence, une réservation renvoyée (après un délai dépassé par exemple) n'est appliquée qu'une fois.
+ *     tags: [Livres]
+ *     parameters:
+ *       - in: header
+ *         name: X-Internal-Api-Key
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Clé partagée entre les services
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockReservationRequest'
+ *     responses:
+ *       204:
+ *         description: Exemplaires réservés, ou réservation déjà appliquée avec cette référence
+ *       400:
+ *         description: Lignes ou référence manquantes ou invalides
+ *       401:
+ *         description: Clé interne manquante ou invalide
+ *       409:
+ *         description: Stock insuffisant pour au moins une ligne, rien n'a été réservé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortage'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/livres/stock/reserve', authenticateService, async (req, res) => {
+  const items = parseStockItems(req.body);
+  if (!items) {
+    return res.status(400).send('Une liste de lignes { bookId, quantity } valides est requise');
+  }
+  const { reference } = req.body;
+  if (isInvalidReference(reference)) {
+    return res.status(400).send('La référence doit être une chaîne de 1 à 255 caractères');
+  }
+
+  const unavailable = [];
+  try {
+    const applied = await sequelize.transaction(async (transaction) => {
+      // The caller may send the same reservation again, after a timeout: the copies are only taken once
+      if (reference !== undefined) {
+        const [, created] = await StockReservation.findOrCreate({ where: { reference }, transaction });
+        if (!created) return false;
+      }
+      for (const { bookId, quantity } of items) {
+        // Conditional decrement: a concurrent reservation of the last copies makes this one affect no row
+        // (quantity is a validated integer, so it is safe to inline)
+        const [affectedRows] = await Book.update(
+          { stock: sequelize.literal(`stock - ${quantity}`) },
+          { where: { id: bookId, stock: { [Op.gte]: quantity } }, transaction }
+        );
+        if (affectedRows === 0) {
+          const book = await Book.findByPk(bookId, { transaction });
+          unavailable.push({ bookId, requested: quantity, available: book ? book.stock : 0 });
+        }
+      }
+      if (unavailable.length > 0) {
+        // Throwing rolls back the lines already reserved
+        const shortage = new Error('Stock insuffisant');
+        shortage.name = 'StockShortageError';
+        throw shortage;
+      }
+      return true;
+    });
+
+    if (applied) {
+      console.log('Stock reserved:', items, reference ?? '');
+    } else {
+      console.log(`Stock reservation ${reference} already applied, ignored.`);
+    }
+    res.status(204).send();
+  } catch (error) {
+    if (error.name === 'StockShortageError') {
+      return res.status(409).json({ error: error.message, unavailable });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      // The same reservation, sent again while the first one was being applied, committed in the meantime
+      console.log(`Stock reservation ${reference} applied concurrently, ignored.`);
+      return res.status(204).send();
+    }
+    console.error('Error reserving stock:', error);
+    res.status(500).send('Erreur serveur lors de la réservation du stock');
+  }
+});
+
+/**
+ * @swagger
+ * /livres/stock/release:
+ *   post:
+ *     summary: Remet en stock des exemplaires réservés (appel interne du service Commandes)
+ *     tags: [Livres]
+ *     parameters:
+ *       - in: header
+ *         name: X-Internal-Api-Key
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Clé partagée entre les services
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StockReleaseRequest'
+ *     responses:
+ *       204:
+ *         description: Exemplaires remis en stock (les livres supprimés depuis sont ignorés), ou remise déjà appliquée avec cette référence
+ *       400:
+ *         description: Lignes ou référence manquantes ou invalides
+ *       401:
+ *         description: Clé interne manquante ou invalide
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/livres/stock/release', authenticateService, async (req, res) => {
+  const items = parseStockItems(req.body);
+  if (!items) {
+    return res.status(400).send('Une liste de lignes { bookId, quantity } valides est requise');
+  }
+  const { reference } = req.body;
+  if (isInvalidReference(reference)) {
+    return res.status(400).send('La référence doit être une chaîne de 1 à 255 caractères');
+  }
+
+  try {
+    const applied = await sequelize.transaction(async (transaction) => {
+      // The caller may send the same release again (after a timeout, or when resuming after a crash)
+      if (reference !== undefined) {
+        const [, created] = await StockRelease.findOrCreate({ where: { reference }, transaction });
+        if (!created) return false;
+      }
+      for (const { bookId, quantity } of items) {
+        await Book.update(
+          { stock: sequelize.literal(`stock + ${quantity}`) },
+          { where: { id: bookId }, transaction }
+        );
+      }
+      return true;
+    });
+    if (applied) {
+      console.log('Stock released:', items, reference ?? '');
+    } else {
+      console.log(`Stock release ${reference} already applied, ignored.`);
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error releasing stock:', error);
+    res.status(500).send('Erreur serveur lors de la remise en stock');
+  }
+});
+
+// Body parsing errors: an imported file over IMPORT_MAX_SIZE is refused with a readable message
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).send(`Corps de requête trop volumineux (maximum ${error.limit} octets)`);
+  }
+  next(error);
+});
 
-// Start server and sync database
+// Start server once the database schema is known to be up to date
 const startServer = async () => {
   try {
     await sequelize.authenticate();
     console.log('Connection to database has been established successfully.');
-    await sequelize.sync(); // Sync models - Creates tables if they don't exist
-    console.log('Database synced.');
+    await assertMigrated();
+    console.log('Database schema is up to date.');
+    await rebuildSearchIndex(sequelize);
+    console.log('Search index rebuilt.');
+    startRelay(await createBroker(config.broker));
+    console.log(`Publishing domain events through the ${config.broker.driver} broker.`);
     app.listen(port, () => {
       console.log(`Service Livres listening at http://localhost:${port}`);
       console.log(`Swagger UI available at http://localhost:${port}/api-docs`);
     });
   } catch (error) {
     console.error('Unable to connect to the database or start server:', error);
+    process.exit(1);
   }
 };
 
@@ -0,0 +1,36 @@
+// Versioned schema migrations (files in ./migrations), applied with Umzug and recorded in the SequelizeMeta table.
+//   npm run migrate       applies every pending migration
+//   npm run migrate:undo  reverts the last applied migration
+const { Umzug, SequelizeStorage } = require('umzug');
+const { sequelize } = require('./database');
+
+const migrator = new Umzug({
+  migrations: { glob: ['migrations/*.js', { cwd: __dirname }] },
+  context: sequelize.getQueryInterface(),
+  storage: new SequelizeStorage({ sequelize }),
+  logger: console
+});
+
+// Called at startup: the service must not run against a schema it does not know
+const assertMigrated = async () => {
+  const pending = await migrator.pending();
+  if (pending.length > 0) {
+    throw new Error(`Database is not up to date, run "npm run migrate" first. Pending migrations: ${pending.map(m => m.name).join(', ')}`);
+  }
+};
+
+if (require.main === module) {
+  const command = process.argv[2];
+  const run = command === 'down' ? () => migrator.down() : () => migrator.up();
+  run()
+    .then((migrations) => {
+      console.log(`${command === 'down' ? 'Reverted' : 'Applied'}: ${migrations.map(m => m.name).join(', ') || 'nothing to do'}`);
+      return sequelize.close();
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrator, assertMigrated };
@@ -0,0 +1,35 @@
+// Initial schema: the Books table as of the first versioned release.
+// Databases created earlier by sequelize.sync() already have the table, possibly without the columns
+// added later (stock, price, currency): those are added instead, existing books get no copies and no price.
+const { DataTypes } = require('sequelize');
+
+const BOOK_COLUMNS = {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  title: { type: DataTypes.STRING, allowNull: false },
+  author: { type: DataTypes.STRING, allowNull: false },
+  year: { type: DataTypes.INTEGER },
+  stock: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+  price: { type: DataTypes.INTEGER, allowNull: true },
+  currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'EUR' },
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    if (!(await queryInterface.tableExists('Books'))) {
+      await queryInterface.createTable('Books', BOOK_COLUMNS);
+      return;
+    }
+    const existingColumns = await queryInterface.describeTable('Books');
+    for (const [name, definition] of Object.entries(BOOK_COLUMNS)) {
+      if (!existingColumns[name]) {
+        await queryInterface.addColumn('Books', name, definition);
+      }
+    }
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('Books');
+  }
+};
@@ -0,0 +1,14 @@
+// ISBN-13 of each book, unique so that the same edition cannot be added twice (books added before may have none)
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.addColumn('Books', 'isbn', { type: DataTypes.STRING(13), allowNull: true });
+    await queryInterface.addIndex('Books', ['isbn'], { unique: true, name: 'books_isbn' });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.removeIndex('Books', 'books_isbn');
+    await queryInterface.removeColumn('Books', 'isbn');
+  }
+};
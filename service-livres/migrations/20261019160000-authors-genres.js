@@ -0,0 +1,57 @@
+// Authors and genres, linked to books through the BookAuthors and BookGenres tables.
+// Each distinct author string of the existing books becomes an author, linked to the books that carry it.
+// Books.author stays: it now holds the names of the authors of the book, joined with commas.
+const { DataTypes } = require('sequelize');
+
+const reference = (table) => ({
+  type: DataTypes.INTEGER,
+  allowNull: false,
+  primaryKey: true,
+  references: { model: table, key: 'id' },
+  onUpdate: 'CASCADE',
+  onDelete: 'CASCADE'
+});
+
+const namedTable = {
+  id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+  name: { type: DataTypes.STRING, allowNull: false, unique: true },
+  createdAt: { type: DataTypes.DATE, allowNull: false },
+  updatedAt: { type: DataTypes.DATE, allowNull: false }
+};
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('Authors', namedTable);
+    await queryInterface.createTable('Genres', namedTable);
+    await queryInterface.createTable('BookAuthors', {
+      bookId: reference('Books'),
+      authorId: reference('Authors'),
+      position: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 } // Order of the authors of a book
+    });
+    await queryInterface.createTable('BookGenres', {
+      bookId: reference('Books'),
+      genreId: reference('Genres')
+    });
+    await queryInterface.addIndex('BookAuthors', ['authorId']);
+    await queryInterface.addIndex('BookGenres', ['genreId']);
+
+    // Identifiers are quoted for PostgreSQL, which would otherwise lowercase them
+    const now = new Date();
+    await queryInterface.sequelize.query('UPDATE "Books" SET author = TRIM(author)');
+    await queryInterface.sequelize.query(`
+      INSERT INTO "Authors" (name, "createdAt", "updatedAt")
+      SELECT DISTINCT author, :now, :now FROM "Books" WHERE author <> ''
+    `, { replacements: { now } });
+    await queryInterface.sequelize.query(`
+      INSERT INTO "BookAuthors" ("bookId", "authorId", position)
+      SELECT "Books".id, "Authors".id, 0 FROM "Books" JOIN "Authors" ON "Authors".name = "Books".author
+    `);
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('BookGenres');
+    await queryInterface.dropTable('BookAuthors');
+    await queryInterface.dropTable('Genres');
+    await queryInterface.dropTable('Authors');
+  }
+};
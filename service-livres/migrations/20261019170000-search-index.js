@@ -0,0 +1,78 @@
+// Full-text search index over the title and author of the books (see search.js, whose names must match these).
+// On SQLite: an FTS5 table kept in sync with Books by triggers, filled with the books already there.
+// On PostgreSQL: a text search configuration ignoring accents and a GIN index on the searched document.
+// Databases whose index was created at startup by earlier versions already have these objects, hence IF NOT EXISTS.
+const SEARCH_TABLE = 'BooksSearch';
+const SEARCH_CONFIGURATION = 'books_search';
+const SEARCH_DOCUMENT = `setweight(to_tsvector('${SEARCH_CONFIGURATION}', title), 'A')
+  || setweight(to_tsvector('${SEARCH_CONFIGURATION}', author), 'B')`;
+
+const sqlite = {
+  async up(sequelize) {
+    // remove_diacritics makes "Exupery" match "Exupéry" (and the reverse)
+    await sequelize.query(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${SEARCH_TABLE}
+      USING fts5(title, author, tokenize = 'unicode61 remove_diacritics 2')
+    `);
+    await sequelize.query(`
+      CREATE TRIGGER IF NOT EXISTS ${SEARCH_TABLE}_after_insert AFTER INSERT ON Books BEGIN
+        INSERT INTO ${SEARCH_TABLE}(rowid, title, author) VALUES (new.id, new.title, new.author);
+      END
+    `);
+    await sequelize.query(`
+      CREATE TRIGGER IF NOT EXISTS ${SEARCH_TABLE}_after_update AFTER UPDATE OF title, author ON Books BEGIN
+        DELETE FROM ${SEARCH_TABLE} WHERE rowid = old.id;
+        INSERT INTO ${SEARCH_TABLE}(rowid, title, author) VALUES (new.id, new.title, new.author);
+      END
+    `);
+    await sequelize.query(`
+      CREATE TRIGGER IF NOT EXISTS ${SEARCH_TABLE}_after_delete AFTER DELETE ON Books BEGIN
+        DELETE FROM ${SEARCH_TABLE} WHERE rowid = old.id;
+      END
+    `);
+    await sequelize.query(`DELETE FROM ${SEARCH_TABLE}`);
+    await sequelize.query(`INSERT INTO ${SEARCH_TABLE}(rowid, title, author) SELECT id, title, author FROM Books`);
+  },
+
+  async down(sequelize) {
+    for (const event of ['insert', 'update', 'delete']) {
+      await sequelize.query(`DROP TRIGGER IF EXISTS ${SEARCH_TABLE}_after_${event}`);
+    }
+    await sequelize.query(`DROP TABLE IF EXISTS ${SEARCH_TABLE}`);
+  }
+};
+
+// The index is maintained by PostgreSQL itself, only its definition needs to exist
+const postgres = {
+  async up(sequelize) {
+    await sequelize.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+    await sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = '${SEARCH_CONFIGURATION}') THEN
+          CREATE TEXT SEARCH CONFIGURATION ${SEARCH_CONFIGURATION} (COPY = simple);
+          ALTER TEXT SEARCH CONFIGURATION ${SEARCH_CONFIGURATION}
+            ALTER MAPPING FOR hword, hword_part, word WITH unaccent, simple;
+        END IF;
+      END $$
+    `);
+    await sequelize.query(`CREATE INDEX IF NOT EXISTS "Books_search" ON "Books" USING GIN ((${SEARCH_DOCUMENT}))`);
+  },
+
+  // The unaccent extension is left installed: other objects of the database may use it
+  async down(sequelize) {
+    await sequelize.query('DROP INDEX IF EXISTS "Books_search"');
+    await sequelize.query(`DROP TEXT SEARCH CONFIGURATION IF EXISTS ${SEARCH_CONFIGURATION}`);
+  }
+};
+
+const forDialect = (sequelize) => sequelize.getDialect() === 'postgres' ? postgres : sqlite;
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await forDialect(queryInterface.sequelize).up(queryInterface.sequelize);
+  },
+
+  async down({ context: queryInterface }) {
+    await forDialect(queryInterface.sequelize).down(queryInterface.sequelize);
+  }
+};
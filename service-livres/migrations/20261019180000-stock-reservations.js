@@ -0,0 +1,17 @@
+// References of the stock reservations already applied, so that a reservation sent again is not counted twice
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('StockReservations', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      reference: { type: DataTypes.STRING, allowNull: false, unique: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('StockReservations');
+  }
+};
@@ -0,0 +1,32 @@
+// Books.author now joins the names of the authors of a book with semicolons instead of commas, since a comma is
+// often part of a name ("Dumas, Alexandre"). Only the books with several authors change.
+const { QueryTypes } = require('sequelize');
+
+const joinAuthorNames = async (sequelize, separator) => {
+  const links = await sequelize.query(`
+    SELECT "BookAuthors"."bookId", "Authors".name
+    FROM "BookAuthors" JOIN "Authors" ON "Authors".id = "BookAuthors"."authorId"
+    WHERE "BookAuthors"."bookId" IN (SELECT "bookId" FROM "BookAuthors" GROUP BY "bookId" HAVING COUNT(*) > 1)
+    ORDER BY "BookAuthors"."bookId", "BookAuthors".position
+  `, { type: QueryTypes.SELECT });
+
+  const namesByBook = new Map();
+  for (const { bookId, name } of links) {
+    namesByBook.set(bookId, [...(namesByBook.get(bookId) || []), name]);
+  }
+  for (const [bookId, names] of namesByBook) {
+    await sequelize.query('UPDATE "Books" SET author = :author WHERE id = :bookId', {
+      replacements: { author: names.join(separator), bookId }
+    });
+  }
+};
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await joinAuthorNames(queryInterface.sequelize, '; ');
+  },
+
+  async down({ context: queryInterface }) {
+    await joinAuthorNames(queryInterface.sequelize, ', ');
+  }
+};
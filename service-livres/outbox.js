@@ -0,0 +1,110 @@
+// Transactional outbox: domain events are written to the OutboxEvents table in the same transaction as the
+// change they describe, then relayed to the broker. An event is therefore published if and only if its change
+// is committed, even if the broker is down at that moment. Each service is built as its own Docker image, so
+// this file is copied as-is into every service that publishes events: keep the copies identical.
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+
+const RELAY_INTERVAL = 1000; // ms between two relays of the pending events
+const RELAY_BATCH_SIZE = 100;
+
+// source: name of the publishing service, e.g. 'service-livres'
+const createOutbox = (sequelize, source) => {
+  // Table created by the migrations in ./migrations
+  const OutboxEvent = sequelize.define('OutboxEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    data: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    publishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true // Null until the event is handed to the broker
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'OutboxEvents',
+    timestamps: false
+  });
+
+  // Records an event, e.g. recordEvent('BookDeleted', { bookId }, { transaction })
+  const recordEvent = (type, data, { transaction }) => {
+    if (!transaction) {
+      throw new Error(`Event ${type} must be recorded in the transaction of the change it describes`);
+    }
+    return OutboxEvent.create({
+      eventId: crypto.randomUUID(),
+      type,
+      data,
+      occurredAt: new Date()
+    }, { transaction });
+  };
+
+  // Hands the pending events to the broker, oldest first. An event the broker refuses stops the relay until
+  // the next round, so that events are published in order; the broker ignores an event published twice.
+  const relayPendingEvents = async (broker) => {
+    const events = await OutboxEvent.findAll({
+      where: { publishedAt: null },
+      order: [['id', 'ASC']],
+      limit: RELAY_BATCH_SIZE,
+      logging: false
+    });
+    for (const event of events) {
+      try {
+        await broker.publish({
+          id: event.eventId,
+          type: event.type,
+          source,
+          occurredAt: event.occurredAt,
+          data: event.data
+        });
+      } catch (error) {
+        console.error(`Failed to publish event ${event.eventId} (${event.type}):`, error.message);
+        await event.update({ attempts: event.attempts + 1, lastError: error.message }, { logging: false });
+        return;
+      }
+      await event.update({ publishedAt: new Date() }, { logging: false });
+    }
+  };
+
+  const startRelay = (broker) => {
+    const relay = async () => {
+      try {
+        await relayPendingEvents(broker);
+      } catch (error) {
+        console.error('Outbox relay failed:', error.message);
+      }
+      setTimeout(relay, RELAY_INTERVAL);
+    };
+    relay();
+  };
+
+  return { OutboxEvent, recordEvent, startRelay };
+};
+
+module.exports = { createOutbox };
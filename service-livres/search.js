@@ -0,0 +1,137 @@
+// Full-text search over the catalogue, on the title and author of each book.
+// On SQLite it is backed by an FTS5 index kept in sync with the Books table by triggers, so every write
+// path (Sequelize or raw SQL) is covered. On PostgreSQL it uses the built-in text search with a GIN index.
+// The index, its triggers and the PostgreSQL text search configuration are created by the migrations; the SQLite
+// index is rebuilt from the Books table at startup, in case it drifted (restored database, rows written while
+// the triggers were missing).
+const { QueryTypes } = require('sequelize');
+
+const SEARCH_TABLE = 'BooksSearch';
+
+// Title matches weigh more than author matches in the relevance score
+const TITLE_WEIGHT = 10.0;
+const AUTHOR_WEIGHT = 5.0;
+
+// Words of the searched text, anything else (punctuation, search operators typed by the user) is ignored
+const toWords = (text) => text.match(/[\p{L}\p{N}]+/gu) || [];
+
+// The database delimits the matched words with control characters, not with the <mark> tags themselves: the text
+// is HTML-escaped first, so that a title or author holding markup is returned as text, then the tags are added
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+const toHighlight = (marked) => marked === null ? null : marked
+  .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+  .replaceAll(MARK_START, '<mark>')
+  .replaceAll(MARK_END, '</mark>');
+
+// --- SQLite (FTS5) ---
+
+// Turns free text into an FTS5 query: every word must match, as a prefix ("exup" finds "Exupéry")
+const toMatchExpression = (text) => toWords(text).map(word => `"${word}"*`).join(' ');
+
+const searchSqliteBooks = async (sequelize, { text, limit, offset }) => {
+  const match = toMatchExpression(text);
+  if (!match) {
+    return { total: 0, rows: [] };
+  }
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM ${SEARCH_TABLE} WHERE ${SEARCH_TABLE} MATCH :match`,
+    { replacements: { match }, type: QueryTypes.SELECT }
+  );
+
+  const rows = await sequelize.query(`
+    SELECT Books.*,
+      bm25(${SEARCH_TABLE}, ${TITLE_WEIGHT}, ${AUTHOR_WEIGHT}) AS score,
+      highlight(${SEARCH_TABLE}, 0, :markStart, :markEnd) AS titleHighlight,
+      highlight(${SEARCH_TABLE}, 1, :markStart, :markEnd) AS authorHighlight
+    FROM ${SEARCH_TABLE}
+    JOIN Books ON Books.id = ${SEARCH_TABLE}.rowid
+    WHERE ${SEARCH_TABLE} MATCH :match
+    ORDER BY score, Books.id
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements: { match, limit, offset, markStart: MARK_START, markEnd: MARK_END },
+    type: QueryTypes.SELECT
+  });
+
+  return {
+    total,
+    rows: rows.map(({ score, titleHighlight, authorHighlight, ...book }) => ({
+      ...book,
+      // bm25() is lower for better matches, the API exposes a score where higher is better
+      relevance: -score,
+      highlight: { title: toHighlight(titleHighlight), author: toHighlight(authorHighlight) }
+    }))
+  };
+};
+
+// --- PostgreSQL ---
+
+// Text search configuration ignoring accents, like the SQLite index (requires the unaccent extension). The document
+// is the expression of the GIN index created by the migration, so that PostgreSQL uses the index.
+const SEARCH_CONFIGURATION = 'books_search';
+const SEARCH_DOCUMENT = `setweight(to_tsvector('${SEARCH_CONFIGURATION}', title), 'A')
+  || setweight(to_tsvector('${SEARCH_CONFIGURATION}', author), 'B')`;
+
+// Same rules as the FTS5 query: every word must match, as a prefix
+const toTsQuery = (text) => toWords(text).map(word => `${word}:*`).join(' & ');
+
+const searchPostgresBooks = async (sequelize, { text, limit, offset }) => {
+  const match = toTsQuery(text);
+  if (!match) {
+    return { total: 0, rows: [] };
+  }
+  const query = `to_tsquery('${SEARCH_CONFIGURATION}', :match)`;
+
+  const [{ total }] = await sequelize.query(
+    `SELECT COUNT(*) AS total FROM "Books" WHERE (${SEARCH_DOCUMENT}) @@ ${query}`,
+    { replacements: { match }, type: QueryTypes.SELECT }
+  );
+
+  // Weights are given for the D, C, B and A labels: A (title) counts twice as much as B (author)
+  const rows = await sequelize.query(`
+    SELECT "Books".*,
+      ts_rank('{0, 0, ${AUTHOR_WEIGHT / TITLE_WEIGHT}, 1}', ${SEARCH_DOCUMENT}, ${query}) AS relevance,
+      ts_headline('${SEARCH_CONFIGURATION}', title, ${query}, :headline) AS "titleHighlight",
+      ts_headline('${SEARCH_CONFIGURATION}', author, ${query}, :headline) AS "authorHighlight"
+    FROM "Books"
+    WHERE (${SEARCH_DOCUMENT}) @@ ${query}
+    ORDER BY relevance DESC, "Books".id
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements: { match, limit, offset, headline: `StartSel=${MARK_START}, StopSel=${MARK_END}, HighlightAll=true` },
+    type: QueryTypes.SELECT
+  });
+
+  return {
+    total: Number(total), // COUNT(*) is a bigint, returned as a string by the pg driver
+    rows: rows.map(({ titleHighlight, authorHighlight, ...book }) => ({
+      ...book,
+      highlight: { title: toHighlight(titleHighlight), author: toHighlight(authorHighlight) }
+    }))
+  };
+};
+
+// Refills the SQLite index from the Books table, in one transaction so that searches never see it half empty.
+// PostgreSQL maintains its index itself.
+const rebuildSearchIndex = async (sequelize) => {
+  if (sequelize.getDialect() === 'postgres') return;
+  await sequelize.transaction(async (transaction) => {
+    await sequelize.query(`DELETE FROM ${SEARCH_TABLE}`, { transaction });
+    await sequelize.query(
+      `INSERT INTO ${SEARCH_TABLE}(rowid, title, author) SELECT id, title, author FROM Books`,
+      { transaction }
+    );
+  });
+};
+
+// Returns the matching books, best matches first, with the matched words of title and author wrapped in <mark>
+// (the rest of the highlighted text is HTML-escaped)
+const searchBooks = (sequelize, options) => sequelize.getDialect() === 'postgres'
+  ? searchPostgresBooks(sequelize, options)
+  : searchSqliteBooks(sequelize, options);
+
+module.exports = { rebuildSearchIndex, searchBooks };
@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startService, tokenFor, request } = require('./helpers');
+
+describe('books of an author or a genre', () => {
+  let service;
+  let camus;
+  let roman;
+  const staff = tokenFor({ id: 99, role: 'staff' });
+
+  const addBook = async (book) => {
+    const { status, body } = await request(service, 'POST', '/livres', { token: staff, body: book });
+    assert.equal(status, 201);
+    return body;
+  };
+  const titles = body => body.data.map(book => book.title);
+
+  before(async () => {
+    service = await startService();
+    ({ body: roman } = await request(service, 'POST', '/genres', { token: staff, body: { name: 'Roman' } }));
+    const peste = await addBook({ title: 'La Peste', author: 'Camus, Albert', genreIds: [roman.id] });
+    camus = peste.authors[0];
+    await addBook({ title: 'L\'Étranger', authorIds: [camus.id], genreIds: [roman.id] });
+    await addBook({ title: 'Correspondance', author: 'Camus, Albert; Char, René' });
+    await addBook({ title: 'Fureur et Mystère', author: 'Char, René' });
+    await addBook({ title: 'Vol de nuit', author: 'Saint-Exupéry, Antoine de', genreIds: [roman.id] });
+  });
+  after(() => service.stop());
+
+  it('lists a page of the books of an author, by title', async () => {
+    const { status, body } = await request(service, 'GET', `/auteurs/${camus.id}/livres?limit=2&page=2`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(titles(body), ['La Peste']);
+    assert.equal(body.total, 3);
+    assert.equal(body.totalPages, 2);
+    assert.deepEqual(Object.keys(body.data[0]).sort(), ['author', 'createdAt', 'currency', 'id', 'isbn', 'price', 'stock', 'title', 'updatedAt', 'year']);
+    assert.deepEqual(titles((await request(service, 'GET', `/auteurs/${camus.id}/livres`)).body), ['Correspondance', 'L\'Étranger', 'La Peste']);
+  });
+
+  it('lists the books of a genre', async () => {
+    const { body } = await request(service, 'GET', `/genres/${roman.id}/livres?limit=2`);
+
+    assert.deepEqual(titles(body), ['L\'Étranger', 'La Peste']);
+    assert.equal(body.total, 3);
+  });
+
+  it('answers 404 for an unknown author or genre and 400 for an invalid page', async () => {
+    assert.equal((await request(service, 'GET', '/auteurs/999/livres')).status, 404);
+    assert.equal((await request(service, 'GET', '/genres/999/livres')).status, 404);
+    assert.equal((await request(service, 'GET', `/auteurs/${camus.id}/livres?limit=101`)).status, 400);
+  });
+});
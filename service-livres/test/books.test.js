@@ -0,0 +1,55 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startService, tokenFor, request } = require('./helpers');
+
+describe('GET /livres', () => {
+  let service;
+  const staff = tokenFor({ id: 99, role: 'staff' });
+
+  const list = async (query) => {
+    const { status, body } = await request(service, 'GET', `/livres?${query}`);
+    assert.equal(status, 200);
+    return body;
+  };
+  const titles = body => body.data.map(book => book.title);
+
+  before(async () => {
+    service = await startService();
+    const books = [
+      { title: 'La Peste', author: 'Albert Camus', year: 1947 },
+      { title: 'L\'Étranger', author: 'Albert Camus', year: 1942 },
+      { title: 'La Chute', author: 'Albert Camus', year: 1956 },
+      { title: 'Vol de nuit', author: 'Antoine de Saint-Exupéry', year: 1931 },
+      { title: 'Le Petit Prince', author: 'Antoine de Saint-Exupéry', year: 1943 }
+    ];
+    for (const book of books) {
+      const { status } = await request(service, 'POST', '/livres', { token: staff, body: book });
+      assert.equal(status, 201);
+    }
+  });
+  after(() => service.stop());
+
+  it('returns a page of the books, with the links to the neighbouring pages', async () => {
+    const body = await list('limit=2&page=2&sort=title');
+
+    assert.deepEqual(titles(body), ['La Peste', 'Le Petit Prince']);
+    assert.equal(body.total, 5);
+    assert.equal(body.totalPages, 3);
+    assert.equal(body.links.next, '/livres?limit=2&page=3&sort=title');
+    assert.equal(body.links.prev, '/livres?limit=2&page=1&sort=title');
+    assert.deepEqual(titles(await list('limit=2&page=4')), []);
+  });
+
+  it('filters on part of the title or the author and on a range of years, whatever the case', async () => {
+    assert.deepEqual(titles(await list('author=camus&sort=year')), ['L\'Étranger', 'La Peste', 'La Chute']);
+    assert.deepEqual(titles(await list('title=la&author=Camus&sort=-year')), ['La Chute', 'La Peste']);
+    assert.deepEqual(titles(await list('yearMin=1942&yearMax=1947&sort=year')), ['L\'Étranger', 'Le Petit Prince', 'La Peste']);
+  });
+
+  it('refuses invalid pages, sizes, sorts and years', async () => {
+    for (const query of ['page=0', 'page=abc', 'limit=0', 'limit=101', 'sort=author', 'sort=-price', 'yearMin=19xx', 'yearMax=1.5']) {
+      const { status } = await request(service, 'GET', `/livres?${query}`);
+      assert.equal(status, 400, query);
+    }
+  });
+});
@@ -0,0 +1,56 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseCsv, parseJsonLines, toCsvLine } = require('../catalogueFiles');
+
+describe('parseCsv', () => {
+  it('reads quoted values holding separators, quotes and line breaks', () => {
+    const { columns, records } = parseCsv('title,author\r\n"Guerre, et paix","Léon ""Lev"" Tolstoï"\r\n"Sur deux\nlignes",X\r\n');
+    assert.deepEqual(columns, ['title', 'author']);
+    assert.deepEqual(records, [
+      { line: 2, values: { title: 'Guerre, et paix', author: 'Léon "Lev" Tolstoï' } },
+      { line: 3, values: { title: 'Sur deux\nlignes', author: 'X' } }
+    ]);
+  });
+
+  it('takes semicolons as separators when the header has no comma', () => {
+    const { records } = parseCsv('﻿title;author\nL\'Étranger;Albert Camus\n');
+    assert.deepEqual(records[0].values, { title: 'L\'Étranger', author: 'Albert Camus' });
+  });
+
+  it('reads the authors of a book, joined with semicolons, from a file saved with semicolon separators', () => {
+    const { records } = parseCsv('title;author\nLes Trois Mousquetaires;"Dumas, Alexandre; Maquet, Auguste"\n');
+    assert.deepEqual(records[0].values, { title: 'Les Trois Mousquetaires', author: 'Dumas, Alexandre; Maquet, Auguste' });
+  });
+
+  it('reports the line of a quote left open', () => {
+    assert.throws(() => parseCsv('title\n"Sans fin\n'), { name: 'CatalogueFileError', message: /^Ligne 2/ });
+  });
+});
+
+describe('parseJsonLines', () => {
+  it('reads one object per line and reports the line of invalid JSON', () => {
+    assert.deepEqual(parseJsonLines('{"title":"A"}\n\n{"title":"B","year":2001}\n').records, [
+      { line: 1, values: { title: 'A' } },
+      { line: 3, values: { title: 'B', year: 2001 } }
+    ]);
+    assert.throws(() => parseJsonLines('{"title":"A"}\n[1]\n'), { name: 'CatalogueFileError', message: /^Ligne 2/ });
+  });
+});
+
+describe('toCsvLine', () => {
+  it('quotes the values that need it and writes missing values as empty', () => {
+    assert.equal(toCsvLine([1, 'Guerre, et paix', 'Dit "Lev"', null, undefined]), '1,"Guerre, et paix","Dit ""Lev""",,\r\n');
+    assert.equal(toCsvLine(['Camus; Sartre']), '"Camus; Sartre"\r\n');
+  });
+
+  it('writes a quote before the text a spreadsheet would run as a formula', () => {
+    assert.equal(toCsvLine(['=HYPERLINK("http://evil")', '+33', '-1', '@SUM(A1)', '\tx']), '"\'=HYPERLINK(""http://evil"")",\'+33,\'-1,\'@SUM(A1),\'\tx\r\n');
+    assert.equal(toCsvLine([-5, 'Camus']), '-5,Camus\r\n');
+  });
+
+  it('gives back the exported values when the file is imported again', () => {
+    const values = ['=1+1', '\'=déjà protégé', '\'apostrophe', '@Camus, Albert', 'Le Mythe de Sisyphe'];
+    const file = toCsvLine(values.map((_, index) => `c${index}`)) + toCsvLine(values);
+    assert.deepEqual(Object.values(parseCsv(file).records[0].values), values);
+  });
+});
@@ -0,0 +1,120 @@
+// Test helpers. The tests of a module run it against an in-memory database with every migration applied; the tests
+// that go through HTTP run the service in a child process, in development mode, with a fresh SQLite database and
+// broker queue in a temporary directory.
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { Sequelize } = require('sequelize');
+const { Umzug, memoryStorage } = require('umzug');
+
+const SERVICE_DIR = path.join(__dirname, '..');
+const STARTUP_TIMEOUT = 20 * 1000;
+
+const JWT_SECRET = 'test-jwt-secret-0123456789';
+
+// A new in-memory SQLite database with every migration applied, for the tests of a single module
+const createTestDatabase = async () => {
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  await new Umzug({
+    migrations: { glob: ['migrations/*.js', { cwd: SERVICE_DIR }] },
+    context: sequelize.getQueryInterface(),
+    storage: memoryStorage(),
+    logger: undefined
+  }).up();
+  return sequelize;
+};
+
+// A port nobody listens on, taken from the system
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Resolves once the child process writes the given text, rejects if it exits before
+const waitForOutput = (child, text) => new Promise((resolve, reject) => {
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`Service not started after ${STARTUP_TIMEOUT} ms:\n${output}`)), STARTUP_TIMEOUT);
+  const onData = (data) => {
+    output += data;
+    if (output.includes(text)) {
+      clearTimeout(timer);
+      resolve();
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  child.once('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Service exited with code ${code}:\n${output}`));
+  });
+});
+
+// Migrates a new database and starts the service on it. Returns { url, stop }.
+const startService = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-livres-'));
+  const port = await freePort();
+  const serviceEnv = {
+    ...process.env,
+    NODE_ENV: 'development',
+    PORT: String(port),
+    DATABASE_URL: '', // Not taken from a .env file either
+    SQLITE_STORAGE: path.join(dir, 'livres.sqlite'),
+    BROKER_DRIVER: 'sqlite',
+    BROKER_SQLITE_STORAGE: path.join(dir, 'broker.sqlite'),
+    JWT_SECRET,
+    ...env
+  };
+  await promisify(execFile)(process.execPath, ['migrate.js', 'up'], { cwd: SERVICE_DIR, env: serviceEnv });
+
+  const child = spawn(process.execPath, ['index.js'], { cwd: SERVICE_DIR, env: serviceEnv });
+  try {
+    await waitForOutput(child, 'listening at');
+  } catch (error) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      await new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { url: `http://127.0.0.1:${port}`, stop };
+};
+
+// Access token of the given user, as issued by Service Utilisateurs
+const tokenFor = ({ id, role = 'customer' }) => jwt.sign(
+  { email: `user${id}@example.com`, name: `Utilisateur ${id}`, role },
+  JWT_SECRET,
+  { algorithm: 'HS256', subject: String(id), issuer: 'service-utilisateurs', expiresIn: '15m' }
+);
+
+// Sends a JSON request. Returns { status, headers, body }, body parsed when the response is JSON.
+const request = async (service, method, route, { body, token, headers = {} } = {}) => {
+  const allHeaders = { ...headers };
+  if (body !== undefined) allHeaders['Content-Type'] = 'application/json';
+  if (token) allHeaders.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${service.url}${route}`, {
+    method,
+    headers: allHeaders,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  const json = (response.headers.get('content-type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+};
+
+module.exports = { createTestDatabase, startService, tokenFor, request };
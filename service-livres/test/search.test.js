@@ -0,0 +1,59 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { rebuildSearchIndex, searchBooks } = require('../search');
+const { createTestDatabase } = require('./helpers');
+
+describe('searchBooks', () => {
+  let sequelize;
+
+  const addBook = (title, author) => sequelize.query(
+    'INSERT INTO Books (title, author, createdAt, updatedAt) VALUES (:title, :author, :now, :now)',
+    { replacements: { title, author, now: new Date() } }
+  );
+  const search = text => searchBooks(sequelize, { text, limit: 10, offset: 0 });
+
+  before(async () => {
+    sequelize = await createTestDatabase();
+    await addBook('Le Petit Prince', 'Antoine de Saint-Exupéry');
+    await addBook('Vol de nuit', 'Antoine de Saint-Exupéry');
+    await addBook('<img src=x onerror=alert(1)> Prince & compagnie', 'Mallory "<b>"');
+  });
+  after(() => sequelize.close());
+
+  it('finds the books by the beginning of the words of their title or author, ignoring accents', async () => {
+    const { total, rows } = await search('exuper');
+    assert.equal(total, 2);
+    assert.deepEqual(rows.map(book => book.title).sort(), ['Le Petit Prince', 'Vol de nuit']);
+  });
+
+  it('ranks a match in the title before a match in the author', async () => {
+    await addBook('Nuit blanche', 'Prince Charles');
+    const { rows } = await search('prince');
+    assert.equal(rows.at(-1).title, 'Nuit blanche');
+  });
+
+  it('marks the matched words in the highlights', async () => {
+    const { rows: [book] } = await search('petit');
+    assert.equal(book.highlight.title, 'Le <mark>Petit</mark> Prince');
+    assert.equal(book.highlight.author, 'Antoine de Saint-Exupéry');
+  });
+
+  it('escapes the HTML of the titles and authors in the highlights', async () => {
+    const { rows: [book] } = await search('mallory');
+    assert.equal(book.highlight.title, '&lt;img src=x onerror=alert(1)&gt; Prince &amp; compagnie');
+    assert.equal(book.highlight.author, '<mark>Mallory</mark> &quot;&lt;b&gt;&quot;');
+  });
+
+  it('finds nothing for a text without words', async () => {
+    assert.deepEqual(await search('*" -'), { total: 0, rows: [] });
+  });
+
+  it('is rebuilt from the books when the index drifted', async () => {
+    await sequelize.query('DELETE FROM BooksSearch');
+    assert.equal((await search('petit')).total, 0);
+
+    await rebuildSearchIndex(sequelize);
+    assert.equal((await search('petit')).total, 1);
+    assert.equal((await search('exuper')).total, 2);
+  });
+});
@@ -0,0 +1,80 @@
+// Authentication middleware verifying the bearer tokens issued by service-utilisateurs.
+// Each service is built as its own Docker image, so this file is copied as-is into every
+// service that needs it: keep the copies identical.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('./config');
+
+const JWT_ISSUER = 'service-utilisateurs';
+
+// Shared secret (HS256) or public key (RS256), read and checked by config.js
+const { key, algorithms } = config.jwtVerification;
+
+const unauthorized = (res, message) => {
+  res.set('WWW-Authenticate', 'Bearer');
+  return res.status(401).send(message);
+};
+
+// Verifies the "Authorization: Bearer <token>" header and attaches the caller to req.user
+const authenticate = (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return unauthorized(res, 'Authentification requise');
+  }
+
+  try {
+    const payload = jwt.verify(token, key, { algorithms, issuer: JWT_ISSUER });
+    req.user = {
+      id: parseInt(payload.sub, 10),
+      email: payload.email,
+      name: payload.name,
+      role: payload.role || 'customer'
+    };
+    next();
+  } catch (error) {
+    console.log('Rejected bearer token:', error.message);
+    return unauthorized(res, 'Jeton d\'accès invalide ou expiré');
+  }
+};
+
+// Must run after authenticate: only lets through callers holding one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).send('Accès refusé : droits insuffisants');
+  }
+  next();
+};
+
+// Protects internal endpoints meant to be called by the other services only: the caller must
+// send the key shared by all services in the X-Internal-Api-Key header. A service without
+// internal endpoints (the gateway) has no key and refuses every such call.
+const INTERNAL_API_KEY = config.internalApiKey;
+
+const authenticateService = (req, res, next) => {
+  const providedKey = Buffer.from(req.get('X-Internal-Api-Key') || '');
+  const expectedKey = Buffer.from(INTERNAL_API_KEY || '');
+  if (!INTERNAL_API_KEY || providedKey.length !== expectedKey.length || !crypto.timingSafeEqual(providedKey, expectedKey)) {
+    return res.status(401).send('Appel réservé aux services internes');
+  }
+  next();
+};
+
+// For endpoints open to users and to the other services: a caller sending the internal API key is checked as
+// a service (req.isService is then set), any other caller must hold a valid bearer token
+const authenticateUserOrService = (req, res, next) => {
+  if (req.get('X-Internal-Api-Key') === undefined) {
+    return authenticate(req, res, next);
+  }
+  authenticateService(req, res, () => {
+    req.isService = true;
+    next();
+  });
+};
+
+// Headers to send on calls to the internal endpoints of another service
+const internalHeaders = () => ({ 'X-Internal-Api-Key': INTERNAL_API_KEY });
+
+const isStaff = (user) => user.role === 'staff' || user.role === 'admin';
+
+module.exports = { authenticate, requireRole, authenticateService, authenticateUserOrService, internalHeaders, isStaff };
@@ -0,0 +1,151 @@
+// Message broker carrying the domain events between services. Each service is built as its own Docker
+// image, so this file is copied as-is into every service that publishes or consumes events: keep the
+// copies identical.
+//
+// A broker driver is an object with:
+//   publish(event)                  stores the event; publishing the same event id twice has no effect
+//   subscribe(name, types, handler) delivers the events of the given types to handler, at least once
+//   close()
+// Events are { id, type, source, occurredAt, data }.
+const { Sequelize, QueryTypes } = require('sequelize');
+
+const POLL_INTERVAL = 1000; // ms between two deliveries to a subscription
+const BATCH_SIZE = 50; // events read per delivery
+const MAX_DELIVERY_ATTEMPTS = 10; // a handler failing this many times on an event moves it to the dead letters
+
+// Queue stored in an SQLite file shared by the services, for local runs (in Docker, the file must be on a
+// volume mounted by every service). Each subscription keeps the id of the last event it handled: events are
+// delivered in order, and an event whose handler fails is delivered again at the next poll.
+const createSqliteBroker = async ({ storage }) => {
+  const db = new Sequelize({ dialect: 'sqlite', storage, logging: false });
+  // Several processes use the file: WAL lets readers work during a write, busy_timeout waits for locks
+  await db.query('PRAGMA journal_mode = WAL');
+  await db.query('PRAGMA busy_timeout = 5000');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS BrokerMessages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      eventId TEXT NOT NULL UNIQUE,
+      type TEXT NOT NULL,
+      source TEXT NOT NULL,
+      occurredAt TEXT NOT NULL,
+      data TEXT NOT NULL,
+      publishedAt TEXT NOT NULL
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS BrokerSubscriptions (
+      name TEXT PRIMARY KEY,
+      position INTEGER NOT NULL DEFAULT 0,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      lastError TEXT
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS BrokerDeadLetters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscription TEXT NOT NULL,
+      messageId INTEGER NOT NULL,
+      error TEXT,
+      failedAt TEXT NOT NULL
+    )
+  `);
+
+  const timers = new Map(); // Next delivery of each subscription
+  let closed = false;
+
+  const publish = async (event) => {
+    await db.query(`
+      INSERT OR IGNORE INTO BrokerMessages (eventId, type, source, occurredAt, data, publishedAt)
+      VALUES (:id, :type, :source, :occurredAt, :data, :publishedAt)
+    `, {
+      replacements: {
+        ...event,
+        occurredAt: new Date(event.occurredAt).toISOString(),
+        data: JSON.stringify(event.data),
+        publishedAt: new Date().toISOString()
+      }
+    });
+  };
+
+  const subscribe = async (name, types, handler) => {
+    await db.query('INSERT OR IGNORE INTO BrokerSubscriptions (name) VALUES (:name)', { replacements: { name } });
+
+    const deliver = async () => {
+      const [{ position, attempts }] = await db.query(
+        'SELECT position, attempts FROM BrokerSubscriptions WHERE name = :name',
+        { replacements: { name }, type: QueryTypes.SELECT }
+      );
+      const messages = await db.query(`
+        SELECT * FROM BrokerMessages WHERE id > :position AND type IN (:types) ORDER BY id LIMIT :limit
+      `, { replacements: { position, types, limit: BATCH_SIZE }, type: QueryTypes.SELECT });
+
+      let failures = attempts;
+      for (const message of messages) {
+        try {
+          await handler({
+            id: message.eventId,
+            type: message.type,
+            source: message.source,
+            occurredAt: message.occurredAt,
+            data: JSON.parse(message.data)
+          });
+        } catch (error) {
+          failures += 1;
+          if (failures < MAX_DELIVERY_ATTEMPTS) {
+            console.error(`${name}: handling of event ${message.eventId} (${message.type}) failed, attempt ${failures}:`, error.message);
+            await db.query(
+              'UPDATE BrokerSubscriptions SET attempts = :failures, lastError = :lastError WHERE name = :name',
+              { replacements: { name, failures, lastError: error.message } }
+            );
+            return; // Retried at the next poll, later events wait so that the order is kept
+          }
+          console.error(`${name}: event ${message.eventId} (${message.type}) moved to the dead letters after ${failures} attempts.`);
+          await db.query(
+            'INSERT INTO BrokerDeadLetters (subscription, messageId, error, failedAt) VALUES (:name, :messageId, :error, :failedAt)',
+            { replacements: { name, messageId: message.id, error: error.message, failedAt: new Date().toISOString() } }
+          );
+        }
+        failures = 0;
+        await db.query(
+          'UPDATE BrokerSubscriptions SET position = :position, attempts = 0, lastError = NULL WHERE name = :name',
+          { replacements: { name, position: message.id } }
+        );
+      }
+    };
+
+    // The next delivery is planned once the current one is over, so a subscription never runs twice at once
+    const poll = async () => {
+      try {
+        await deliver();
+      } catch (error) {
+        console.error(`${name}: event delivery failed:`, error.message);
+      }
+      if (!closed) {
+        timers.set(name, setTimeout(poll, POLL_INTERVAL));
+      }
+    };
+    timers.set(name, setTimeout(poll, 0));
+  };
+
+  const close = async () => {
+    closed = true;
+    timers.forEach(clearTimeout);
+    await db.close();
+  };
+
+  return { publish, subscribe, close };
+};
+
+const DRIVERS = {
+  sqlite: createSqliteBroker
+};
+
+// options: { driver, ...driver settings }, e.g. { driver: 'sqlite', storage: '../broker.sqlite' }
+const createBroker = ({ driver, ...options }) => {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown broker driver "${driver}" (available: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+  return DRIVERS[driver](options);
+};
+
+module.exports = { createBroker, BROKER_DRIVERS: Object.keys(DRIVERS) };
@@ -1,19 +1,58 @@
 const express = require('express');
-const { Sequelize, DataTypes } = require('sequelize');
+const { DataTypes } = require('sequelize');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
+const config = require('./config');
+const { authenticate, requireRole, authenticateService, authenticateUserOrService, internalHeaders } = require('./auth');
+const { sequelize } = require('./database');
+const { assertMigrated } = require('./migrate');
+const { createBroker } = require('./broker');
+const { createOutbox } = require('./outbox');
+const { createMailer } = require('./mailer');
+const { createRateLimiter } = require('./rateLimit');
+const { createLoginThrottle } = require('./loginThrottle');
+const { createOrderNotifications } = require('./orderNotifications');
+const { createServiceClient } = require('./httpClient');
 
 const app = express();
-const port = 3003;
-const saltRounds = 10; // For bcrypt
+const { port, saltRounds } = config;
 
+// JWT settings
+const { key: JWT_SIGNING_KEY, algorithm: JWT_ALGORITHM } = config.jwtSigning;
+const JWT_ISSUER = 'service-utilisateurs';
+const ACCESS_TOKEN_TTL = 15 * 60; // Access token lifetime in seconds (15 minutes)
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // Refresh token lifetime in seconds (7 days)
+const PASSWORD_RESET_TOKEN_TTL = 60 * 60; // Password reset link lifetime in seconds (1 hour)
+const EMAIL_VERIFICATION_TOKEN_TTL = 24 * 60 * 60; // Email verification link lifetime in seconds (24 hours)
+const EMAIL_VERIFICATION_RESEND_INTERVAL = 60; // Minimum delay in seconds between two verification mails
+
+const ROLES = ['customer', 'staff', 'admin'];
+const MAX_BATCH_IDS = 500; // Maximum number of ids accepted by GET /users?ids=
+
+app.set('trust proxy', config.trustProxy);
 app.use(express.json());
 
-// --- Sequelize Setup ---
-const sequelize = new Sequelize({
-  dialect: 'sqlite',
-  storage: './utilisateurs.sqlite' // File-based SQLite database for users
+// Write routes accept at most 30 requests per minute from the same client
+const writeLimiter = createRateLimiter({ windowSeconds: 60, max: 30 });
+
+// Domain events of this service (UserRegistered), published through the outbox
+const { recordEvent, startRelay } = createOutbox(sequelize, 'service-utilisateurs');
+
+const mailer = createMailer(config.mail);
+
+// Client of service-commandes, which holds the orders gathered by the data export
+const commandesClient = createServiceClient('service-commandes', { baseURL: config.commandesServiceUrl });
+
+// Failed login attempts, per account and per IP address
+const loginThrottle = createLoginThrottle(sequelize);
+
+// Mails about their orders sent to the customers, from the events of service-commandes
+const orderNotifications = createOrderNotifications(sequelize, {
+  mailer,
+  findRecipient: userId => findActiveUser(userId)
 });
 
 // Define User Model
@@ -38,11 +77,188 @@ const User = sequelize.define('User', {
   name: {
     type: DataTypes.STRING,
     allowNull: false
+  },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'customer',
+    validate: {
+      isIn: [ROLES]
+    }
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Null until the address is confirmed: the account cannot log in nor order
+  },
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the account is closed: the row is kept, anonymised, so its orders still resolve
+  }
+}, {
+  timestamps: true
+});
+
+// Define RefreshToken Model (only a hash of the token is stored)
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the token is rotated or revoked by a logout
+  }
+}, {
+  timestamps: true
+});
+
+// Define PasswordResetToken Model (only a hash of the token is stored, each token works once)
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the password is reset with this token
+  }
+}, {
+  timestamps: true
+});
+
+User.hasMany(RefreshToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+RefreshToken.belongsTo(User, { foreignKey: 'userId' });
+// Define EmailVerificationToken Model (only a hash of the token is stored, each token works once)
+const EmailVerificationToken = sequelize.define('EmailVerificationToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true // Set when the address is confirmed with this token
   }
 }, {
   timestamps: true
 });
 
+User.hasMany(PasswordResetToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+PasswordResetToken.belongsTo(User, { foreignKey: 'userId' });
+User.hasMany(EmailVerificationToken, { foreignKey: 'userId', onDelete: 'CASCADE' });
+EmailVerificationToken.belongsTo(User, { foreignKey: 'userId' });
+
+// Password rules, checked on registration, reset and change. Returns the reason a password is refused, or null.
+const checkPasswordStrength = (password) => {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Le mot de passe doit contenir au moins 8 caractères';
+  }
+  if (Buffer.byteLength(password) > 72) { // bcrypt ignores anything past 72 bytes
+    return 'Le mot de passe ne doit pas dépasser 72 octets';
+  }
+  if (!/\p{L}/u.test(password) || !/\p{N}/u.test(password)) {
+    return 'Le mot de passe doit contenir au moins une lettre et un chiffre';
+  }
+  return null;
+};
+
+// --- Token Helpers ---
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) => jwt.sign(
+  { email: user.email, name: user.name, role: user.role },
+  JWT_SIGNING_KEY,
+  { algorithm: JWT_ALGORITHM, subject: String(user.id), issuer: JWT_ISSUER, expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Creates a new opaque refresh token for the user and persists its hash
+const issueRefreshToken = async (userId) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+  });
+  return token;
+};
+
+const issueTokens = async (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user.id),
+  tokenType: 'Bearer',
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Replaces the pending verification token of the user with a new one, returned in clear to be mailed
+const createEmailVerificationToken = async (userId, transaction) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await EmailVerificationToken.destroy({ where: { userId, usedAt: null }, transaction });
+  await EmailVerificationToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TOKEN_TTL * 1000)
+  }, { transaction });
+  return token;
+};
+
+// A failure is only logged: the user can ask for a new link with POST /verify-email/resend
+const sendVerificationEmail = async (user, token) => {
+  const link = new URL(config.emailVerificationUrl);
+  link.searchParams.set('token', token);
+  try {
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirmez votre adresse email',
+      text: `Bonjour ${user.name},\n\n`
+        + `Pour activer votre compte, confirmez votre adresse email en ouvrant ce lien dans les 24 heures :\n${link}\n\n`
+        + 'Si vous n\'avez pas créé de compte, ignorez ce message.\n'
+    });
+  } catch (error) {
+    console.error(`Failed to send the verification mail to user ${user.id}:`, error);
+  }
+};
+
 // --- Swagger Setup ---
 const swaggerOptions = {
   definition: {
@@ -62,6 +278,7 @@ const swaggerOptions = {
 };
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+app.get('/api-docs.json', (req, res) => res.json(swaggerSpec)); // Raw spec, merged by the API gateway
 
 // --- JSDoc Definitions for Swagger ---
 /**
@@ -74,6 +291,19 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 /**
  * @swagger
  * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *       description: Jeton d'accès obtenu via POST /login
+ *   responses:
+ *     Unauthorized:
+ *       description: Jeton d'accès manquant, invalide ou expiré
+ *     Forbidden:
+ *       description: Le rôle de l'appelant ne permet pas cette opération
+ *     TooManyRequests:
+ *       description: Trop de requêtes, réessayer après le délai indiqué par l'en-tête Retry-After
  *   schemas:
  *     User:
  *       type: object
@@ -88,6 +318,20 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *         name:
  *           type: string
  *           description: Nom de l'utilisateur
+ *         role:
+ *           type: string
+ *           enum: [customer, staff, admin]
+ *           description: Rôle de l'utilisateur (customer par défaut)
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Date de confirmation de l'adresse email (null tant qu'elle n'est pas vérifiée)
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Date de suppression du compte (les données personnelles sont alors anonymisées)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -100,6 +344,9 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *         id: 1
  *         email: test@example.com
  *         name: Test User
+ *         role: customer
+ *         emailVerifiedAt: 2023-01-01T12:05:00Z
+ *         deletedAt: null
  *         createdAt: 2023-01-01T12:00:00Z
  *         updatedAt: 2023-01-01T12:00:00Z
  *     NewUser:
@@ -136,21 +383,159 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
  *       example:
  *         email: test@example.com
  *         password: password123
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: JWT signé à courte durée de vie, à envoyer dans l'en-tête Authorization
+ *         refreshToken:
+ *           type: string
+ *           description: Jeton opaque à usage unique permettant d'obtenir une nouvelle paire de jetons
+ *         tokenType:
+ *           type: string
+ *           description: Type de jeton (toujours Bearer)
+ *         expiresIn:
+ *           type: integer
+ *           description: Durée de validité du jeton d'accès en secondes
+ *       example:
+ *         accessToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *         refreshToken: 3f9c2a...e81b
+ *         tokenType: Bearer
+ *         expiresIn: 900
  *     LoginResponse:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Tokens'
+ *         - type: object
+ *           properties:
+ *             message:
+ *               type: string
+ *             user:
+ *               $ref: '#/components/schemas/User'
+ *           example:
+ *             message: Connexion réussie
+ *             user:
+ *               id: 1
+ *               email: test@example.com
+ *               name: Test User
+ *               role: customer
+ *               createdAt: 2023-01-01T12:00:00Z
+ *               updatedAt: 2023-01-01T12:00:00Z
+ *             accessToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *             refreshToken: 3f9c2a...e81b
+ *             tokenType: Bearer
+ *             expiresIn: 900
+ *     RoleUpdate:
+ *       type: object
+ *       required:
+ *         - role
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [customer, staff, admin]
+ *       example:
+ *         role: staff
+ *     UserUpdate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Nouvelle adresse, à confirmer avec le lien envoyé par email
+ *       example:
+ *         name: Nouveau Nom
+ *     PasswordChange:
+ *       type: object
+ *       required:
+ *         - currentPassword
+ *         - newPassword
+ *       properties:
+ *         currentPassword:
+ *           type: string
+ *           format: password
+ *         newPassword:
+ *           type: string
+ *           format: password
+ *           description: Au moins 8 caractères, dont une lettre et un chiffre
+ *       example:
+ *         currentPassword: ancien123
+ *         newPassword: nouveau456
+ *     UserDataExport:
  *       type: object
  *       properties:
- *         message:
+ *         exportedAt:
  *           type: string
- *         user:
+ *           format: date-time
+ *         profile:
  *           $ref: '#/components/schemas/User'
+ *         sessions:
+ *           type: array
+ *           description: Sessions ouvertes par l'utilisateur (refresh tokens, sans le jeton lui-même)
+ *           items:
+ *             type: object
+ *             properties:
+ *               createdAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               revokedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *         orders:
+ *           type: array
+ *           description: Commandes de l'utilisateur, telles que renvoyées par le service Commandes (avec le titre des livres)
+ *           items:
+ *             type: object
+ *     RefreshTokenRequest:
+ *       type: object
+ *       required:
+ *         - refreshToken
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *       example:
+ *         refreshToken: 3f9c2a...e81b
+ *     ResendVerificationRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *       example:
+ *         email: test@example.com
+ *     ForgotPasswordRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
  *       example:
- *         message: Connexion réussie
- *         user:
- *           id: 1
- *           email: test@example.com
- *           name: Test User
- *           createdAt: 2023-01-01T12:00:00Z
- *           updatedAt: 2023-01-01T12:00:00Z
+ *         email: test@example.com
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *         - password
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Jeton reçu dans le lien de réinitialisation
+ *         password:
+ *           type: string
+ *           format: password
+ *           description: Nouveau mot de passe (8 caractères minimum, dont une lettre et un chiffre)
+ *       example:
+ *         token: 9b1d4e...07af
+ *         password: nouveauMotDePasse1
  */
 
 // --- Routes --- //
@@ -165,6 +550,7 @@ app.get('/', (req, res) => {
  * /register:
  *   post:
  *     summary: Enregistre un nouvel utilisateur
+ *     description: Un lien de vérification est envoyé par email ; le compte ne peut se connecter qu'une fois son adresse confirmée.
  *     tags: [Utilisateurs]
  *     requestBody:
  *       required: true
@@ -180,29 +566,40 @@ app.get('/', (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/User'
  *       400:
- *         description: Données invalides (email manquant, format email invalide, etc.)
+ *         description: Données invalides (email manquant, format email invalide, mot de passe trop faible, etc.)
  *       409:
  *         description: L'email est déjà utilisé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Erreur serveur
  */
-app.post('/register', async (req, res) => {
+app.post('/register', writeLimiter, async (req, res) => {
   const { email, password, name } = req.body;
 
   if (!email || !password || !name) {
     return res.status(400).send('Email, mot de passe et nom sont requis');
   }
+  const passwordError = checkPasswordStrength(password);
+  if (passwordError) {
+    return res.status(400).send(passwordError);
+  }
 
   try {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user in database
-    const newUser = await User.create({
-      email,
-      password: hashedPassword,
-      name
+    // Create user in database, unverified until the link sent by email is opened
+    const { newUser, verificationToken } = await sequelize.transaction(async (transaction) => {
+      const user = await User.create({
+        email,
+        password: hashedPassword,
+        name
+      }, { transaction });
+      await recordEvent('UserRegistered', { userId: user.id, email: user.email, name: user.name }, { transaction });
+      return { newUser: user, verificationToken: await createEmailVerificationToken(user.id, transaction) };
     });
+    await sendVerificationEmail(newUser, verificationToken);
 
     // Return user info (without password)
     const { password: _, ...userWithoutPassword } = newUser.get({ plain: true });
@@ -225,6 +622,7 @@ app.post('/register', async (req, res) => {
  * /login:
  *   post:
  *     summary: Connecte un utilisateur existant
+ *     description: Après plusieurs échecs, les tentatives suivantes sont retardées de plus en plus, puis le compte ou l'adresse IP est bloqué pendant 15 minutes.
  *     tags: [Utilisateurs]
  *     requestBody:
  *       required: true
@@ -243,35 +641,57 @@ app.post('/register', async (req, res) => {
  *         description: Email ou mot de passe manquant
  *       401:
  *         description: Email ou mot de passe invalide
+ *       403:
+ *         description: Adresse email non vérifiée
+ *       429:
+ *         description: Trop de tentatives échouées pour ce compte ou depuis cette adresse IP, ou trop de requêtes ; réessayer après le délai indiqué par l'en-tête Retry-After
  *       500:
  *         description: Erreur serveur
  */
-app.post('/login', async (req, res) => {
+app.post('/login', writeLimiter, async (req, res) => {
   const { email, password } = req.body;
 
   if (!email || !password) {
     return res.status(400).send('Email et mot de passe sont requis');
   }
 
+  const attempt = { email, ip: req.ip };
+
   try {
+    // Checked before the password, so a blocked client cannot keep guessing
+    const retryAfter = await loginThrottle.retryAfter(attempt);
+    if (retryAfter > 0) {
+      console.log(`Login attempt refused (blocked for ${retryAfter} s):`, email, req.ip);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).send(`Trop de tentatives de connexion échouées, réessayez dans ${retryAfter} secondes.`);
+    }
+
     // Find user by email
     const user = await User.findOne({ where: { email } });
 
     if (!user) {
-      console.log('Login attempt failed (user not found):', email);
+      console.log('Login attempt failed (user not found):', email, req.ip);
+      await loginThrottle.recordFailure(attempt);
       return res.status(401).send('Email ou mot de passe invalide');
     }
 
     // Compare password with hash
     const isPasswordValid = await bcrypt.compare(password, user.password);
 
+    if (isPasswordValid && !user.emailVerifiedAt) {
+      console.log('Login refused (email not verified):', email);
+      return res.status(403).send('Adresse email non vérifiée : ouvrez le lien reçu par email, ou demandez-en un nouveau via POST /verify-email/resend.');
+    }
+
     if (isPasswordValid) {
-      // In a real app, generate and return a JWT token here
       console.log('Login successful for:', email);
+      await loginThrottle.clearAccount(email);
       const { password: _, ...userWithoutPassword } = user.get({ plain: true });
-      res.status(200).json({ message: 'Connexion réussie', user: userWithoutPassword });
+      const tokens = await issueTokens(user);
+      res.status(200).json({ message: 'Connexion réussie', user: userWithoutPassword, ...tokens });
     } else {
-      console.log('Login attempt failed (invalid password):', email);
+      console.log('Login attempt failed (invalid password):', email, req.ip);
+      await loginThrottle.recordFailure(attempt);
       res.status(401).send('Email ou mot de passe invalide');
     }
   } catch (error) {
@@ -282,63 +702,990 @@ app.post('/login', async (req, res) => {
 
 /**
  * @swagger
- * /users/{id}:
- *   get:
- *     summary: Récupère les détails d'un utilisateur par son ID (protégé dans une vraie app)
+ * /token/refresh:
+ *   post:
+ *     summary: Échange un refresh token valide contre une nouvelle paire de jetons (rotation)
  *     tags: [Utilisateurs]
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: ID de l'utilisateur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
  *     responses:
  *       200:
- *         description: Détails de l'utilisateur
+ *         description: Nouvelle paire de jetons
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/User'
- *       404:
- *         description: Utilisateur non trouvé
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         description: Refresh token manquant
+ *       401:
+ *         description: Refresh token invalide, expiré ou révoqué
+ *       403:
+ *         description: Adresse email du compte non vérifiée
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         description: Erreur serveur
  */
-app.get('/users/:id', async (req, res) => {
+app.post('/token/refresh', writeLimiter, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).send('Refresh token requis');
+  }
+
   try {
-    const userId = parseInt(req.params.id);
-    const user = await User.findByPk(userId);
+    const storedToken = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+
+    if (!storedToken) {
+      return res.status(401).send('Refresh token invalide');
+    }
+
+    // A rotated token is being replayed: it may have been stolen, so revoke every session of the user
+    const revokeAllSessions = async () => {
+      console.log('Refresh token reuse detected for user:', storedToken.userId);
+      await RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: storedToken.userId, revokedAt: null } }
+      );
+      res.status(401).send('Refresh token révoqué');
+    };
+
+    if (storedToken.revokedAt) {
+      return revokeAllSessions();
+    }
+
+    if (storedToken.expiresAt < new Date()) {
+      return res.status(401).send('Refresh token expiré');
+    }
+
+    const user = await User.findByPk(storedToken.userId);
+    if (!user) {
+      return res.status(401).send('Refresh token invalide');
+    }
+    // Same rule as POST /login, for the sessions opened before the address was changed
+    if (!user.emailVerifiedAt) {
+      return res.status(403).send('Adresse email non vérifiée : ouvrez le lien reçu par email, ou demandez-en un nouveau via POST /verify-email/resend.');
+    }
+
+    // Rotate: the presented token can only be used once. Only revoke it if nobody did in the meantime, so that
+    // of two concurrent refreshes with the same token, the second is handled as a replay
+    const [rotated] = await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { id: storedToken.id, revokedAt: null } }
+    );
+    if (rotated === 0) {
+      return revokeAllSessions();
+    }
+
+    const tokens = await issueTokens(user);
+    res.json(tokens);
+  } catch (error) {
+    console.error("Error during token refresh:", error);
+    res.status(500).send('Erreur serveur lors du renouvellement du jeton.');
+  }
+});
+
+/**
+ * @swagger
+ * /logout:
+ *   post:
+ *     summary: Déconnecte l'utilisateur en révoquant son refresh token
+ *     tags: [Utilisateurs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       204:
+ *         description: Déconnexion réussie (pas de contenu)
+ *       400:
+ *         description: Refresh token manquant
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/logout', writeLimiter, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).send('Refresh token requis');
+  }
+
+  try {
+    // Unknown or already revoked tokens are ignored so logout stays idempotent
+    await RefreshToken.update(
+      { revokedAt: new Date() },
+      { where: { tokenHash: hashToken(refreshToken), revokedAt: null } }
+    );
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error during logout:", error);
+    res.status(500).send('Erreur serveur lors de la déconnexion.');
+  }
+});
+
+/**
+ * @swagger
+ * /password/forgot:
+ *   post:
+ *     summary: Demande un lien de réinitialisation du mot de passe
+ *     description: Envoie par email un lien valable une heure. La réponse est la même que le compte existe ou non.
+ *     tags: [Utilisateurs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       202:
+ *         description: Demande prise en compte
+ *       400:
+ *         description: Email manquant
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/password/forgot', writeLimiter, async (req, res) => {
+  const { email } = req.body;
 
+  if (!email) {
+    return res.status(400).send('Email requis');
+  }
+
+  try {
+    const user = await User.findOne({ where: { email } });
     if (user) {
-        const { password: _, ...userWithoutPassword } = user.get({ plain: true });
-        res.json(userWithoutPassword);
-    } else {
-        res.status(404).send('Utilisateur non trouvé');
+      const token = crypto.randomBytes(32).toString('hex');
+      await sequelize.transaction(async (transaction) => {
+        // Only the latest link works
+        await PasswordResetToken.destroy({ where: { userId: user.id, usedAt: null }, transaction });
+        await PasswordResetToken.create({
+          userId: user.id,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + PASSWORD_RESET_TOKEN_TTL * 1000)
+        }, { transaction });
+      });
+
+      const link = new URL(config.passwordResetUrl);
+      link.searchParams.set('token', token);
+      try {
+        await mailer.send({
+          to: user.email,
+          subject: 'Réinitialisation de votre mot de passe',
+          text: `Bonjour ${user.name},\n\n`
+            + `Pour choisir un nouveau mot de passe, ouvrez ce lien dans l'heure qui vient :\n${link}\n\n`
+            + 'Si vous n\'êtes pas à l\'origine de cette demande, ignorez ce message : votre mot de passe reste inchangé.\n'
+        });
+      } catch (error) {
+        // Not reported to the caller, who must not learn whether the account exists
+        console.error(`Failed to send the password reset mail to user ${user.id}:`, error);
+      }
     }
-  } catch(error) {
-      console.error(`Error fetching user ${req.params.id}:`, error);
-      res.status(500).send('Erreur serveur lors de la récupération de l\'utilisateur.');
+
+    // Same answer whether or not the account exists, so this endpoint cannot be used to find accounts
+    res.status(202).json({ message: 'Si un compte existe pour cet email, un lien de réinitialisation vient d\'être envoyé.' });
+  } catch (error) {
+    console.error("Error during password reset request:", error);
+    res.status(500).send('Erreur serveur lors de la demande de réinitialisation.');
   }
 });
 
-// TODO: Implement JWT for authentication/authorization
+/**
+ * @swagger
+ * /password/reset:
+ *   post:
+ *     summary: Choisit un nouveau mot de passe à l'aide d'un lien de réinitialisation
+ *     description: Le lien ne sert qu'une fois. Toutes les sessions ouvertes (refresh tokens) sont révoquées.
+ *     tags: [Utilisateurs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       204:
+ *         description: Mot de passe modifié (pas de contenu)
+ *       400:
+ *         description: Jeton ou mot de passe manquant, mot de passe trop faible, ou lien invalide, expiré ou déjà utilisé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/password/reset', writeLimiter, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.status(400).send('Jeton et nouveau mot de passe requis');
+  }
+  const passwordError = checkPasswordStrength(password);
+  if (passwordError) {
+    return res.status(400).send(passwordError);
+  }
+
+  try {
+    const resetToken = await PasswordResetToken.findOne({ where: { tokenHash: hashToken(token) } });
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+      return res.status(400).send('Lien de réinitialisation invalide ou expiré');
+    }
+
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const reset = await sequelize.transaction(async (transaction) => {
+      // Only use the token if nobody used it in the meantime
+      const [count] = await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { id: resetToken.id, usedAt: null }, transaction }
+      );
+      if (count === 0) return false;
+      await User.update({ password: hashedPassword }, { where: { id: resetToken.userId }, transaction });
+      // Whoever knew the old password must not stay logged in
+      await RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: resetToken.userId, revokedAt: null }, transaction }
+      );
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).send('Lien de réinitialisation invalide ou expiré');
+    }
+
+    console.log('Password reset for user:', resetToken.userId);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error during password reset:", error);
+    res.status(500).send('Erreur serveur lors de la réinitialisation du mot de passe.');
+  }
+});
+
+/**
+ * @swagger
+ * /verify-email:
+ *   get:
+ *     summary: Confirme l'adresse email d'un compte à l'aide du lien reçu à l'inscription
+ *     description: Le lien est valable 24 heures et ne sert qu'une fois. Le compte peut ensuite se connecter et passer commande.
+ *     tags: [Utilisateurs]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Jeton reçu par email
+ *     responses:
+ *       200:
+ *         description: Adresse email vérifiée
+ *       400:
+ *         description: Jeton manquant, ou lien invalide, expiré ou déjà utilisé
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/verify-email', async (req, res) => {
+  const { token } = req.query;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).send('Jeton de vérification requis');
+  }
+
+  try {
+    const verificationToken = await EmailVerificationToken.findOne({ where: { tokenHash: hashToken(token) } });
+    if (!verificationToken || verificationToken.usedAt || verificationToken.expiresAt < new Date()) {
+      return res.status(400).send('Lien de vérification invalide ou expiré');
+    }
+
+    const verified = await sequelize.transaction(async (transaction) => {
+      // Only use the token if nobody used it in the meantime
+      const [count] = await EmailVerificationToken.update(
+        { usedAt: new Date() },
+        { where: { id: verificationToken.id, usedAt: null }, transaction }
+      );
+      if (count === 0) return false;
+      await User.update(
+        { emailVerifiedAt: new Date() },
+        { where: { id: verificationToken.userId, emailVerifiedAt: null }, transaction }
+      );
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(400).send('Lien de vérification invalide ou expiré');
+    }
+
+    console.log('Email verified for user:', verificationToken.userId);
+    res.json({ message: 'Adresse email vérifiée, vous pouvez vous connecter.' });
+  } catch (error) {
+    console.error("Error during email verification:", error);
+    res.status(500).send('Erreur serveur lors de la vérification de l\'adresse email.');
+  }
+});
+
+/**
+ * @swagger
+ * /verify-email/resend:
+ *   post:
+ *     summary: Renvoie le lien de vérification de l'adresse email
+ *     description: Le nouveau lien remplace le précédent. La réponse est la même que le compte existe ou non, ou qu'il soit déjà vérifié.
+ *     tags: [Utilisateurs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResendVerificationRequest'
+ *     responses:
+ *       202:
+ *         description: Demande prise en compte
+ *       400:
+ *         description: Email manquant
+ *       429:
+ *         description: Un lien vient d'être envoyé, réessayer après le délai indiqué par l'en-tête Retry-After
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/verify-email/resend', writeLimiter, async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.status(400).send('Email requis');
+  }
+
+  try {
+    const user = await User.findOne({ where: { email } });
+    if (user && !user.emailVerifiedAt) {
+      // At most one mail per interval, so this endpoint cannot be used to flood a mailbox
+      const latest = await EmailVerificationToken.findOne({ where: { userId: user.id }, order: [['createdAt', 'DESC']] });
+      const retryAfter = latest
+        ? Math.ceil((latest.createdAt.getTime() + EMAIL_VERIFICATION_RESEND_INTERVAL * 1000 - Date.now()) / 1000)
+        : 0;
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).send(`Un lien de vérification vient d'être envoyé, réessayez dans ${retryAfter} secondes.`);
+      }
+
+      const token = await sequelize.transaction(transaction => createEmailVerificationToken(user.id, transaction));
+      await sendVerificationEmail(user, token);
+    }
+
+    res.status(202).json({ message: 'Si un compte non vérifié existe pour cet email, un nouveau lien de vérification vient d\'être envoyé.' });
+  } catch (error) {
+    console.error("Error during verification mail request:", error);
+    res.status(500).send('Erreur serveur lors de l\'envoi du lien de vérification.');
+  }
+});
+
+// Parses a comma-separated list of ids ("1,2,3"), removing duplicates. Returns null if an id is invalid.
+const parseIdList = (value) => {
+  if (typeof value !== 'string' || !value) return null;
+  const ids = value.split(',').map(Number);
+  return ids.every(id => Number.isInteger(id) && id >= 1) ? [...new Set(ids)] : null;
+};
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Récupère plusieurs utilisateurs en un seul appel (appel interne du service Commandes)
+ *     tags: [Utilisateurs]
+ *     parameters:
+ *       - in: header
+ *         name: X-Internal-Api-Key
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Clé partagée entre les services
+ *       - in: query
+ *         name: ids
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: IDs séparés par des virgules (500 au maximum)
+ *         example: 1,2,3
+ *     responses:
+ *       200:
+ *         description: Les utilisateurs trouvés (les IDs inconnus sont ignorés)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Paramètre ids manquant ou invalide
+ *       401:
+ *         description: Clé interne manquante ou invalide
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/users', authenticateService, async (req, res) => {
+  const ids = parseIdList(req.query.ids);
+  if (!ids || ids.length > MAX_BATCH_IDS) {
+    return res.status(400).send(`Le paramètre ids doit contenir de 1 à ${MAX_BATCH_IDS} IDs séparés par des virgules`);
+  }
+
+  try {
+    const users = await User.findAll({ where: { id: ids }, attributes: { exclude: ['password'] } });
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users batch:', error);
+    res.status(500).send('Erreur serveur lors de la récupération des utilisateurs.');
+  }
+});
+
+// Must run after authenticate (or authenticateUserOrService, which lets the other services through): only lets
+// through the owner of the account named by :id, or an administrator
+const requireOwnerOrAdmin = (req, res, next) => {
+  if (req.isService) return next();
+  if (req.user.id !== parseInt(req.params.id) && req.user.role !== 'admin') {
+    return res.status(403).send('Accès refusé : réservé au titulaire du compte ou à un administrateur');
+  }
+  next();
+};
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Récupère les détails d'un utilisateur par son ID (titulaire du compte, administrateur ou autre service)
+ *     description: Un compte supprimé reste consultable, anonymisé, avec sa date de suppression (deletedAt).
+ *       Les autres services l'appellent avec la clé interne (en-tête X-Internal-Api-Key) au lieu d'un jeton.
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     responses:
+ *       200:
+ *         description: Détails de l'utilisateur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ */
+app.get('/users/:id', authenticateUserOrService, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const user = await User.findByPk(userId);
+
+    if (user) {
+        const { password: _, ...userWithoutPassword } = user.get({ plain: true });
+        res.json(userWithoutPassword);
+    } else {
+        res.status(404).send('Utilisateur non trouvé');
+    }
+  } catch(error) {
+      console.error(`Error fetching user ${req.params.id}:`, error);
+      res.status(500).send('Erreur serveur lors de la récupération de l\'utilisateur.');
+  }
+});
+
+// Closed accounts are kept for their orders but cannot be changed any more
+const findActiveUser = (id) => User.findOne({ where: { id: parseInt(id), deletedAt: null } });
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   patch:
+ *     summary: Modifie le nom ou l'adresse email d'un compte (titulaire du compte ou administrateur)
+ *     description: |
+ *       Une nouvelle adresse email doit être confirmée avec le lien qui lui est envoyé avant la prochaine connexion.
+ *       Changer d'adresse révoque toutes les sessions du compte (refresh tokens).
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserUpdate'
+ *     responses:
+ *       200:
+ *         description: Compte mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Aucune modification demandée, nom vide ou format email invalide
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       409:
+ *         description: L'email est déjà utilisé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.patch('/users/:id', writeLimiter, authenticate, requireOwnerOrAdmin, async (req, res) => {
+  const { name, email } = req.body;
+
+  if (name === undefined && email === undefined) {
+    return res.status(400).send('Aucune modification : indiquez un nom et/ou un email');
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return res.status(400).send('Le nom ne peut pas être vide');
+  }
+  if (email !== undefined && typeof email !== 'string') {
+    return res.status(400).send('Format email invalide');
+  }
+
+  try {
+    const user = await findActiveUser(req.params.id);
+    if (!user) {
+      return res.status(404).send('Utilisateur non trouvé');
+    }
+
+    const emailChanged = email !== undefined && email !== user.email;
+    const verificationToken = await sequelize.transaction(async (transaction) => {
+      if (name !== undefined) user.name = name;
+      if (emailChanged) {
+        // The new address must be confirmed like on registration; the unique constraint rejects a used one
+        user.email = email;
+        user.emailVerifiedAt = null;
+      }
+      await user.save({ transaction });
+      if (emailChanged) {
+        // Until the new address is confirmed, the account cannot get new access tokens from its sessions
+        await RefreshToken.update(
+          { revokedAt: new Date() },
+          { where: { userId: user.id, revokedAt: null }, transaction }
+        );
+      }
+      await recordEvent('UserUpdated', { userId: user.id, email: user.email, name: user.name }, { transaction });
+      return emailChanged ? createEmailVerificationToken(user.id, transaction) : null;
+    });
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    }
+    console.log(`User ${user.id} updated by user ${req.user.id}`);
+
+    const { password: _, ...userWithoutPassword } = user.get({ plain: true });
+    res.json(userWithoutPassword);
+  } catch (error) {
+    console.error(`Error updating user ${req.params.id}:`, error);
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).send('Cet email est déjà utilisé');
+    }
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({ error: 'Validation Error', details: error.errors.map(e => e.message) });
+    }
+    res.status(500).send('Erreur serveur lors de la mise à jour de l\'utilisateur.');
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/password:
+ *   put:
+ *     summary: Change le mot de passe d'un compte (titulaire du compte ou administrateur)
+ *     description: Le mot de passe actuel est toujours demandé. Toutes les sessions ouvertes (refresh tokens) sont révoquées. Les erreurs sur le mot de passe actuel comptent comme des échecs de connexion.
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordChange'
+ *     responses:
+ *       204:
+ *         description: Mot de passe modifié (pas de contenu)
+ *       400:
+ *         description: Mot de passe manquant ou nouveau mot de passe trop faible
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         description: Mot de passe actuel incorrect, ou compte d'un autre utilisateur
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       429:
+ *         description: Trop de tentatives échouées ou trop de requêtes ; réessayer après le délai indiqué par l'en-tête Retry-After
+ *       500:
+ *         description: Erreur serveur
+ */
+app.put('/users/:id/password', writeLimiter, authenticate, requireOwnerOrAdmin, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).send('Mot de passe actuel et nouveau mot de passe requis');
+  }
+  const passwordError = checkPasswordStrength(newPassword);
+  if (passwordError) {
+    return res.status(400).send(passwordError);
+  }
+
+  try {
+    const user = await findActiveUser(req.params.id);
+    if (!user) {
+      return res.status(404).send('Utilisateur non trouvé');
+    }
+
+    // A stolen access token must not allow guessing the current password at full speed
+    const attempt = { email: user.email, ip: req.ip };
+    const retryAfter = await loginThrottle.retryAfter(attempt);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).send(`Trop de tentatives échouées, réessayez dans ${retryAfter} secondes.`);
+    }
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      console.log(`Password change refused for user ${user.id} (invalid current password)`, req.ip);
+      await loginThrottle.recordFailure(attempt);
+      return res.status(403).send('Mot de passe actuel incorrect');
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ password: hashedPassword }, { transaction });
+      await RefreshToken.update(
+        { revokedAt: new Date() },
+        { where: { userId: user.id, revokedAt: null }, transaction }
+      );
+    });
+    console.log(`Password of user ${user.id} changed by user ${req.user.id}`);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error changing password of user ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors du changement de mot de passe.');
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   delete:
+ *     summary: Supprime un compte (titulaire du compte ou administrateur)
+ *     description: Les données personnelles (nom, email, mot de passe) sont anonymisées et toutes les sessions révoquées. L'utilisateur reste consultable, marqué supprimé, pour que ses commandes restent lisibles.
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     responses:
+ *       204:
+ *         description: Compte supprimé (pas de contenu)
+ *       400:
+ *         description: Un administrateur ne peut pas supprimer son propre compte
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.delete('/users/:id', writeLimiter, authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    const user = await findActiveUser(req.params.id);
+    if (!user) {
+      return res.status(404).send('Utilisateur non trouvé');
+    }
+    // Like for the role, so there is always at least one admin left
+    if (user.id === req.user.id && user.role === 'admin') {
+      return res.status(400).send('Un administrateur ne peut pas supprimer son propre compte');
+    }
+
+    const formerEmail = user.email;
+    // Nobody knows this password, so the account can never be logged in to again
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), saltRounds);
+    await sequelize.transaction(async (transaction) => {
+      await user.update({
+        email: `supprime-${user.id}@anonyme.invalid`,
+        name: 'Utilisateur supprimé',
+        password: unusablePassword,
+        role: 'customer',
+        emailVerifiedAt: null,
+        deletedAt: new Date()
+      }, { transaction });
+      await RefreshToken.destroy({ where: { userId: user.id }, transaction });
+      await PasswordResetToken.destroy({ where: { userId: user.id }, transaction });
+      await EmailVerificationToken.destroy({ where: { userId: user.id }, transaction });
+      await recordEvent('UserDeleted', { userId: user.id, deletedBy: req.user.id }, { transaction });
+    });
+    // The failed login counter is keyed by the former email address
+    await loginThrottle.clearAccount(formerEmail);
+
+    console.log(`User ${user.id} deleted by user ${req.user.id}`);
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error deleting user ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la suppression du compte.');
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/export:
+ *   get:
+ *     summary: Exporte toutes les données d'un utilisateur dans un fichier JSON (titulaire du compte ou administrateur)
+ *     description: Rassemble le profil, les sessions et toutes les commandes de l'utilisateur (droit d'accès RGPD). Les commandes sont demandées au service Commandes.
+ *       Un compte supprimé s'exporte aussi : son profil anonymisé, avec sa date de suppression, et ses commandes.
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     responses:
+ *       200:
+ *         description: Archive JSON à télécharger (en-tête Content-Disposition)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserDataExport'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       500:
+ *         description: Erreur serveur
+ *       503:
+ *         description: Service Commandes indisponible, l'export serait incomplet
+ */
+app.get('/users/:id/export', authenticate, requireOwnerOrAdmin, async (req, res) => {
+  try {
+    // A deleted account keeps its orders, which are still exported (the profile is the anonymised one)
+    const user = await User.findByPk(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).send('Utilisateur non trouvé');
+    }
+
+    // An export without the orders would be incomplete, so it is refused rather than sent partially
+    let orders;
+    try {
+      ({ data: orders } = await commandesClient.get('/commandes', {
+        params: { userId: user.id },
+        headers: internalHeaders()
+      }));
+    } catch (error) {
+      console.error(`Failed to fetch the orders of user ${user.id} for the export:`, error.response?.status || error.message);
+      return res.status(503).send('Service Commandes indisponible : l\'export est impossible pour le moment, réessayez plus tard.');
+    }
+
+    const sessions = await RefreshToken.findAll({
+      where: { userId: user.id },
+      attributes: ['createdAt', 'expiresAt', 'revokedAt'],
+      order: [['createdAt', 'ASC']]
+    });
+    const { password: _, ...profile } = user.get({ plain: true });
+    const exportedAt = new Date();
+
+    console.log(`Data export of user ${user.id} requested by user ${req.user.id}`);
+    res.attachment(`export-utilisateur-${user.id}-${exportedAt.toISOString().slice(0, 10)}.json`);
+    res.json({ exportedAt, profile, sessions, orders });
+  } catch (error) {
+    console.error(`Error exporting data of user ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de l\'export des données.');
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   put:
+ *     summary: Promeut ou rétrograde un utilisateur (réservé aux administrateurs)
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RoleUpdate'
+ *     responses:
+ *       200:
+ *         description: Rôle mis à jour (pris en compte au prochain renouvellement de jeton)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Rôle invalide ou tentative de se retirer soi-même les droits administrateur
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.put('/users/:id/role', writeLimiter, authenticate, requireRole('admin'), async (req, res) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return res.status(400).send(`Rôle invalide (valeurs possibles : ${ROLES.join(', ')})`);
+  }
+
+  try {
+    const userId = parseInt(req.params.id);
+    // Admins cannot demote themselves, so there is always at least one admin left
+    if (userId === req.user.id && role !== 'admin') {
+      return res.status(400).send('Un administrateur ne peut pas se retirer ses propres droits');
+    }
+
+    const user = await findActiveUser(userId);
+    if (!user) {
+      return res.status(404).send('Utilisateur non trouvé');
+    }
+
+    user.role = role;
+    await user.save();
+    console.log(`User ${userId} role set to ${role} by admin ${req.user.id}`);
+
+    const { password: _, ...userWithoutPassword } = user.get({ plain: true });
+    res.json(userWithoutPassword);
+  } catch (error) {
+    console.error(`Error updating role of user ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors de la mise à jour du rôle.');
+  }
+});
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Débloque la connexion d'un compte après des tentatives échouées (réservé aux administrateurs)
+ *     description: Remet à zéro le compteur d'échecs du compte. Le compteur de l'adresse IP d'origine des tentatives n'est pas modifié.
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de l'utilisateur
+ *     responses:
+ *       204:
+ *         description: Compte débloqué (pas de contenu)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur non trouvé
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         description: Erreur serveur
+ */
+app.post('/users/:id/unlock', writeLimiter, authenticate, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findByPk(parseInt(req.params.id));
+    if (!user) {
+      return res.status(404).send('Utilisateur non trouvé');
+    }
+
+    if (await loginThrottle.clearAccount(user.email)) {
+      console.log(`Login of user ${user.id} unlocked by admin ${req.user.id}`);
+    }
+    res.status(204).send();
+  } catch (error) {
+    console.error(`Error unlocking user ${req.params.id}:`, error);
+    res.status(500).send('Erreur serveur lors du déblocage du compte.');
+  }
+});
+
+// Promotes the account named by ADMIN_EMAIL so a fresh installation has a first administrator
+const bootstrapAdmin = async () => {
+  if (!config.adminEmail) return;
+  const [updated] = await User.update({ role: 'admin' }, { where: { email: config.adminEmail } });
+  if (updated) {
+    console.log(`User ${config.adminEmail} granted the admin role.`);
+  }
+};
 
-// Start server and sync database
+// Start server once the database schema is known to be up to date
 const startServer = async () => {
   try {
     await sequelize.authenticate();
     console.log('Connection to user database has been established successfully.');
-    // Use { force: true } cautiously in dev to drop and recreate tables
-    // await sequelize.sync({ force: true });
-    await sequelize.sync();
-    console.log('User database synced.');
+    await assertMigrated();
+    console.log('User database schema is up to date.');
+    await bootstrapAdmin();
+    loginThrottle.startCleanup();
+    const broker = await createBroker(config.broker);
+    startRelay(broker);
+    await broker.subscribe(
+      'service-utilisateurs.order-notifications',
+      ['OrderCreated', 'OrderStatusChanged'],
+      orderNotifications.handleOrderEvent
+    );
+    console.log(`Publishing and consuming domain events through the ${config.broker.driver} broker.`);
     app.listen(port, () => {
       console.log(`Service Utilisateurs listening at http://localhost:${port}`);
       console.log(`Swagger UI available at http://localhost:${port}/api-docs`);
     });
   } catch (error) {
     console.error('Unable to connect to the user database or start server:', error);
+    process.exit(1);
   }
 };
 
@@ -0,0 +1,132 @@
+// Slows down password guessing on POST /login. Failed attempts are counted per account (the email typed, whether
+// or not the account exists, so the answers do not reveal which accounts exist) and per client IP address.
+// Past a few free attempts, each failure blocks the next attempt for a delay that doubles every time, and past
+// the lockout threshold the account or the address is locked for a while.
+// Counters are stored in the database: they survive restarts and are shared by every instance of the service.
+const { DataTypes, Op, QueryTypes } = require('sequelize');
+
+// Delays and durations in seconds. An IP address may be shared by many users (NAT), so it gets more attempts.
+const POLICIES = {
+  account: { freeAttempts: 3, maxDelay: 60, lockoutAfter: 10, lockoutDuration: 15 * 60 },
+  ip: { freeAttempts: 10, maxDelay: 60, lockoutAfter: 50, lockoutDuration: 15 * 60 }
+};
+const FAILURE_MEMORY = 60 * 60; // Seconds without failure after which a counter starts again from zero
+
+// Seconds during which the next attempt is refused after the given number of failures
+const blockDuration = ({ freeAttempts, maxDelay, lockoutAfter, lockoutDuration }, failures) => {
+  if (failures >= lockoutAfter) return lockoutDuration;
+  if (failures < freeAttempts) return 0;
+  return Math.min(2 ** (failures - freeAttempts), maxDelay);
+};
+
+const accountKey = email => email.toLowerCase();
+
+const createLoginThrottle = (sequelize) => {
+  // Table created by the migrations in ./migrations
+  const LoginFailure = sequelize.define('LoginFailure', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    scope: {
+      type: DataTypes.STRING,
+      allowNull: false // 'account' or 'ip'
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false // Email or IP address
+    },
+    failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastFailureAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    blockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    timestamps: true
+  });
+
+  // attempt: { email, ip }
+  const countersOf = ({ email, ip }) => [
+    { scope: 'account', key: accountKey(email) },
+    { scope: 'ip', key: ip }
+  ];
+
+  // Seconds before the client may try again, 0 if neither the account nor the address is blocked
+  const retryAfter = async (attempt) => {
+    const counters = await LoginFailure.findAll({ where: { [Op.or]: countersOf(attempt) } });
+    const now = Date.now();
+    return Math.max(0, ...counters
+      .filter(counter => counter.blockedUntil)
+      .map(counter => Math.ceil((counter.blockedUntil.getTime() - now) / 1000)));
+  };
+
+  // The counter is created if needed and incremented by the database itself, one statement at a time, so that
+  // concurrent failed attempts (a burst of guesses sent in parallel, all checked by retryAfter before any failure
+  // is recorded) are each counted. The unique index on (scope, key) keeps a single counter per account or address.
+  const countFailure = async (scope, key, now) => {
+    await sequelize.query(`
+      INSERT INTO "LoginFailures" (scope, "key", failures, "lastFailureAt", "createdAt", "updatedAt")
+      VALUES (:scope, :key, 0, :now, :now, :now)
+      ON CONFLICT (scope, "key") DO NOTHING
+    `, { replacements: { scope, key, now } });
+    const [{ id, failures }] = await sequelize.query(`
+      UPDATE "LoginFailures"
+      SET failures = CASE WHEN "lastFailureAt" < :forgetBefore THEN 1 ELSE failures + 1 END,
+        "lastFailureAt" = :now, "updatedAt" = :now
+      WHERE scope = :scope AND "key" = :key
+      RETURNING id, failures
+    `, {
+      replacements: { scope, key, now, forgetBefore: new Date(now.getTime() - FAILURE_MEMORY * 1000) },
+      type: QueryTypes.SELECT
+    });
+    // Left to the latest failure when another one was counted in the meantime
+    const delay = blockDuration(POLICIES[scope], failures);
+    await LoginFailure.update(
+      { blockedUntil: delay > 0 ? new Date(now.getTime() + delay * 1000) : null },
+      { where: { id, failures } }
+    );
+  };
+
+  const recordFailure = async (attempt) => {
+    const now = new Date();
+    for (const { scope, key } of countersOf(attempt)) {
+      await countFailure(scope, key, now);
+    }
+  };
+
+  // After a successful login, or when an administrator unlocks the account. The counter of the address is kept,
+  // so that an attacker cannot reset it by logging in to an account of their own. Returns whether it was set.
+  const clearAccount = async (email) => {
+    const count = await LoginFailure.destroy({ where: { scope: 'account', key: accountKey(email) } });
+    return count > 0;
+  };
+
+  // Deletes the counters that are no longer used, at startup and then every hour
+  const startCleanup = () => {
+    const cleanup = async () => {
+      try {
+        await LoginFailure.destroy({
+          where: { lastFailureAt: { [Op.lt]: new Date(Date.now() - FAILURE_MEMORY * 1000) } },
+          logging: false
+        });
+      } catch (error) {
+        console.error('Login failures cleanup failed:', error.message);
+      }
+    };
+    cleanup();
+    setInterval(cleanup, FAILURE_MEMORY * 1000).unref();
+  };
+
+  return { LoginFailure, retryAfter, recordFailure, clearAccount, startCleanup };
+};
+
+module.exports = { createLoginThrottle };
@@ -0,0 +1,42 @@
+// Sends the mails of the service through a pluggable transport:
+//   file  (default) writes each message as an .eml file in a local outbox directory, so that everything
+//         works offline; the files open in any mail client
+//   smtp  sends the messages through an SMTP server
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const createFileTransport = ({ outboxDir }) => {
+  // Only builds the raw message, nothing is sent
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return async (message) => {
+    const { message: raw } = await composer.sendMail(message);
+    await fs.mkdir(outboxDir, { recursive: true });
+    const file = path.join(outboxDir, `${Date.now()}-${crypto.randomUUID()}.eml`);
+    await fs.writeFile(file, raw);
+    console.log(`Mail "${message.subject}" written to ${file}`);
+  };
+};
+
+const createSmtpTransport = ({ smtpUrl }) => {
+  const transport = nodemailer.createTransport(smtpUrl);
+  return async (message) => {
+    await transport.sendMail(message);
+  };
+};
+
+const TRANSPORTS = {
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+// options: { transport, from, ...transport settings }. The mailer sends { to, subject, text } messages.
+const createMailer = ({ transport, from, ...options }) => {
+  const send = TRANSPORTS[transport](options);
+  return {
+    send: (message) => send({ from, ...message })
+  };
+};
+
+module.exports = { createMailer, MAIL_TRANSPORTS: Object.keys(TRANSPORTS) };
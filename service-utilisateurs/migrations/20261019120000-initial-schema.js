@@ -0,0 +1,53 @@
+// Initial schema: the Users and RefreshTokens tables as of the first versioned release.
+// Databases created earlier by sequelize.sync() may already have the tables, possibly without the columns
+// added later: those are added instead (existing users become customers).
+const { DataTypes } = require('sequelize');
+
+const TABLES = {
+  Users: {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    email: { type: DataTypes.STRING, allowNull: false, unique: true },
+    password: { type: DataTypes.STRING, allowNull: false },
+    name: { type: DataTypes.STRING, allowNull: false },
+    role: { type: DataTypes.STRING, allowNull: false, defaultValue: 'customer' },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+  },
+  RefreshTokens: {
+    id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: { model: 'Users', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    tokenHash: { type: DataTypes.STRING, allowNull: false, unique: true },
+    expiresAt: { type: DataTypes.DATE, allowNull: false },
+    revokedAt: { type: DataTypes.DATE, allowNull: true },
+    createdAt: { type: DataTypes.DATE, allowNull: false },
+    updatedAt: { type: DataTypes.DATE, allowNull: false }
+  }
+};
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    for (const [table, columns] of Object.entries(TABLES)) {
+      if (!(await queryInterface.tableExists(table))) {
+        await queryInterface.createTable(table, columns);
+        continue;
+      }
+      const existingColumns = await queryInterface.describeTable(table);
+      for (const [name, definition] of Object.entries(columns)) {
+        if (!existingColumns[name]) {
+          await queryInterface.addColumn(table, name, definition);
+        }
+      }
+    }
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('RefreshTokens');
+    await queryInterface.dropTable('Users');
+  }
+};
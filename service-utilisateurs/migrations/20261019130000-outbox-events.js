@@ -0,0 +1,23 @@
+// Transactional outbox: domain events waiting to be relayed to the broker (see outbox.js)
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('OutboxEvents', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      eventId: { type: DataTypes.STRING, allowNull: false, unique: true },
+      type: { type: DataTypes.STRING, allowNull: false },
+      data: { type: DataTypes.JSON, allowNull: false },
+      occurredAt: { type: DataTypes.DATE, allowNull: false },
+      publishedAt: { type: DataTypes.DATE, allowNull: true },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      lastError: { type: DataTypes.TEXT, allowNull: true }
+    });
+    // The relay looks for the events not published yet
+    await queryInterface.addIndex('OutboxEvents', ['publishedAt']);
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('OutboxEvents');
+  }
+};
@@ -0,0 +1,26 @@
+// Single-use password reset tokens (only a hash of each token is stored)
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('PasswordResetTokens', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tokenHash: { type: DataTypes.STRING, allowNull: false, unique: true },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      usedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('PasswordResetTokens');
+  }
+};
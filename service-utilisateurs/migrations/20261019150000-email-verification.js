@@ -0,0 +1,31 @@
+// Email verification: accounts stay inactive until the address is confirmed with a single-use token.
+// Accounts created before this migration were already active and are considered verified.
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.addColumn('Users', 'emailVerifiedAt', { type: DataTypes.DATE, allowNull: true });
+    await queryInterface.sequelize.query('UPDATE "Users" SET "emailVerifiedAt" = "createdAt"');
+
+    await queryInterface.createTable('EmailVerificationTokens', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: { model: 'Users', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      tokenHash: { type: DataTypes.STRING, allowNull: false, unique: true },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      usedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('EmailVerificationTokens');
+    await queryInterface.removeColumn('Users', 'emailVerifiedAt');
+  }
+};
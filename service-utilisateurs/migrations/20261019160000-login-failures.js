@@ -0,0 +1,22 @@
+// Failed login attempts, counted per account and per client IP address to slow down password guessing
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('LoginFailures', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      scope: { type: DataTypes.STRING, allowNull: false },
+      key: { type: DataTypes.STRING, allowNull: false },
+      failures: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      lastFailureAt: { type: DataTypes.DATE, allowNull: false },
+      blockedUntil: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.addIndex('LoginFailures', ['scope', 'key'], { unique: true });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('LoginFailures');
+  }
+};
@@ -0,0 +1,12 @@
+// Closed accounts are kept, anonymised, so that the orders placed with them still resolve
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.addColumn('Users', 'deletedAt', { type: DataTypes.DATE, allowNull: true });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.removeColumn('Users', 'deletedAt');
+  }
+};
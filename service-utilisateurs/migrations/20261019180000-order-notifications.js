@@ -0,0 +1,20 @@
+// Order events already mailed to the customer, so that an event delivered twice by the broker is mailed once
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    await queryInterface.createTable('OrderNotifications', {
+      id: { type: DataTypes.INTEGER, autoIncrement: true, primaryKey: true },
+      eventId: { type: DataTypes.STRING, allowNull: false, unique: true },
+      type: { type: DataTypes.STRING, allowNull: false },
+      orderId: { type: DataTypes.INTEGER, allowNull: false },
+      userId: { type: DataTypes.INTEGER, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('OrderNotifications');
+  }
+};
@@ -0,0 +1,76 @@
+// Mails the customers about their orders, from the events published by Service Commandes: a confirmation when
+// an order is placed, then a notice at each change of its status. The broker delivers each event at least once,
+// so the events already mailed are recorded and an event delivered again is not mailed a second time.
+const { DataTypes } = require('sequelize');
+
+// Amounts are in minor units, e.g. 1290 EUR is shown "12,90 EUR"
+const formatAmount = (amount, currency) => `${(amount / 100).toFixed(2).replace('.', ',')} ${currency}`;
+
+// Subject and text of the mail telling the user about the event
+const composeMail = ({ type, data }, user) => {
+  if (type === 'OrderCreated') {
+    const copies = data.items.reduce((sum, item) => sum + item.quantity, 0);
+    return {
+      subject: `Confirmation de votre commande n°${data.orderId}`,
+      text: `Bonjour ${user.name},\n\n`
+        + `Nous avons bien reçu votre commande n°${data.orderId} de ${copies} exemplaire(s), `
+        + `pour un montant de ${formatAmount(data.total, data.currency)} TTC.\n\n`
+        + 'Merci de votre confiance.\n'
+    };
+  }
+  const reason = data.reason ? `Motif : ${data.reason}\n` : '';
+  return {
+    subject: `Votre commande n°${data.orderId} : ${data.toStatus}`,
+    text: `Bonjour ${user.name},\n\n`
+      + `Votre commande n°${data.orderId} est passée du statut « ${data.fromStatus} » au statut « ${data.toStatus} ».\n`
+      + reason
+  };
+};
+
+// findRecipient(userId) resolves to the account to mail ({ email, name }), or to null when it is closed
+const createOrderNotifications = (sequelize, { mailer, findRecipient }) => {
+  // Table created by the migrations in ./migrations
+  const OrderNotification = sequelize.define('OrderNotification', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    eventId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    type: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  }, {
+    timestamps: true
+  });
+
+  // Handler of the OrderCreated and OrderStatusChanged events. The event is recorded once its mail is sent: when
+  // the mail fails, the handler fails and the broker delivers the event again later.
+  const handleOrderEvent = async (event) => {
+    if (await OrderNotification.findOne({ where: { eventId: event.id } })) return;
+
+    const { orderId, userId } = event.data;
+    const user = await findRecipient(userId);
+    if (user) {
+      await mailer.send({ to: user.email, ...composeMail(event, user) });
+    }
+    await OrderNotification.create({ eventId: event.id, type: event.type, orderId, userId });
+  };
+
+  return { OrderNotification, handleOrderEvent };
+};
+
+module.exports = { createOrderNotifications };
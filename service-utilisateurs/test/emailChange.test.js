@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startService, request, registerUser, login, tokenMailedTo } = require('./helpers');
+
+const refresh = (service, refreshToken) => request(service, 'POST', '/token/refresh', { body: { refreshToken } });
+
+describe('email change', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+    await registerUser(service, 'alice@example.com');
+    await registerUser(service, 'bob@example.com');
+  });
+  after(() => service.stop());
+
+  it('revokes every session of the account until the new address is confirmed', async () => {
+    const { body: { user, accessToken, refreshToken } } = await login(service, 'alice@example.com');
+    const { body: { refreshToken: otherSession } } = await login(service, 'alice@example.com');
+
+    const { status, body } = await request(service, 'PATCH', `/users/${user.id}`, {
+      token: accessToken,
+      body: { email: 'alice@example.org' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.emailVerifiedAt, null);
+    assert.equal((await refresh(service, refreshToken)).status, 401);
+    assert.equal((await refresh(service, otherSession)).status, 401);
+    assert.equal((await login(service, 'alice@example.org')).status, 403);
+
+    await request(service, 'GET', `/verify-email?token=${tokenMailedTo(service, 'alice@example.org')}`);
+    assert.equal((await login(service, 'alice@example.org')).status, 200);
+  });
+
+  it('keeps the sessions when only the name changes', async () => {
+    const { body: { user, accessToken, refreshToken } } = await login(service, 'bob@example.com');
+
+    const { status } = await request(service, 'PATCH', `/users/${user.id}`, { token: accessToken, body: { name: 'Robert' } });
+    assert.equal(status, 200);
+    assert.equal((await refresh(service, refreshToken)).status, 200);
+  });
+});
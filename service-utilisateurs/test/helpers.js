@@ -0,0 +1,142 @@
+// Test helpers. The tests of a module run it against an in-memory database; the tests that go through HTTP run
+// the service in a child process, in development mode, with a fresh SQLite database, broker queue and mail
+// outbox in a temporary directory.
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { Sequelize } = require('sequelize');
+const { Umzug, memoryStorage } = require('umzug');
+
+const SERVICE_DIR = path.join(__dirname, '..');
+const STARTUP_TIMEOUT = 20 * 1000;
+
+const PASSWORD = 'Secret123!';
+
+// A port nobody listens on, taken from the system
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// Resolves once the child process writes the given text, rejects if it exits before
+const waitForOutput = (child, text) => new Promise((resolve, reject) => {
+  let output = '';
+  const timer = setTimeout(() => reject(new Error(`Service not started after ${STARTUP_TIMEOUT} ms:\n${output}`)), STARTUP_TIMEOUT);
+  const onData = (data) => {
+    output += data;
+    if (output.includes(text)) {
+      clearTimeout(timer);
+      resolve();
+    }
+  };
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  child.once('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Service exited with code ${code}:\n${output}`));
+  });
+});
+
+// Migrates a new database and starts the service on it. Returns { url, mailOutbox, stop }.
+const startService = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-utilisateurs-'));
+  const port = await freePort();
+  const serviceEnv = {
+    ...process.env,
+    NODE_ENV: 'development',
+    PORT: String(port),
+    DATABASE_URL: '', // Not taken from a .env file either
+    SQLITE_STORAGE: path.join(dir, 'utilisateurs.sqlite'),
+    BROKER_DRIVER: 'sqlite',
+    BROKER_SQLITE_STORAGE: path.join(dir, 'broker.sqlite'),
+    MAIL_TRANSPORT: 'file',
+    MAIL_OUTBOX_DIR: path.join(dir, 'mail-outbox'),
+    BCRYPT_SALT_ROUNDS: '4',
+    ...env
+  };
+  await promisify(execFile)(process.execPath, ['migrate.js', 'up'], { cwd: SERVICE_DIR, env: serviceEnv });
+
+  const child = spawn(process.execPath, ['index.js'], { cwd: SERVICE_DIR, env: serviceEnv });
+  try {
+    await waitForOutput(child, 'listening at');
+  } catch (error) {
+    child.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      await new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill();
+      });
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { url: `http://127.0.0.1:${port}`, mailOutbox: serviceEnv.MAIL_OUTBOX_DIR, stop };
+};
+
+// A new in-memory SQLite database with every migration applied, for the tests of a single module
+const createTestDatabase = async () => {
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  await new Umzug({
+    migrations: { glob: ['migrations/*.js', { cwd: SERVICE_DIR }] },
+    context: sequelize.getQueryInterface(),
+    storage: memoryStorage(),
+    logger: undefined
+  }).up();
+  return sequelize;
+};
+
+// Sends a JSON request. Returns { status, headers, body }, body parsed when the response is JSON.
+const request = async (service, method, route, { body, token, headers = {} } = {}) => {
+  const allHeaders = { ...headers };
+  if (body !== undefined) allHeaders['Content-Type'] = 'application/json';
+  if (token) allHeaders.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${service.url}${route}`, {
+    method,
+    headers: allHeaders,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  const json = (response.headers.get('content-type') || '').includes('application/json');
+  return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+};
+
+// Text of the last mail sent to the address, quoted-printable decoded
+const lastMailTo = (service, email) => {
+  const mails = fs.existsSync(service.mailOutbox)
+    ? fs.readdirSync(service.mailOutbox).sort().map(file => fs.readFileSync(path.join(service.mailOutbox, file), 'latin1'))
+    : [];
+  const mail = mails.filter(raw => raw.includes(`To: ${email}`)).pop();
+  if (!mail) throw new Error(`No mail sent to ${email}`);
+  const decoded = mail.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(decoded, 'latin1').toString('utf8');
+};
+
+// Value of the token= parameter of the link in the last mail sent to the address
+const tokenMailedTo = (service, email) => lastMailTo(service, email).match(/[?&]token=([0-9a-f]+)/)[1];
+
+// Registers an account and confirms its email address with the link of the verification mail
+const registerUser = async (service, email) => {
+  const { status, body } = await request(service, 'POST', '/register', { body: { email, password: PASSWORD, name: 'Test' } });
+  if (status !== 201) throw new Error(`Registration of ${email} failed (${status}): ${JSON.stringify(body)}`);
+  await request(service, 'GET', `/verify-email?token=${tokenMailedTo(service, email)}`);
+  return body;
+};
+
+// ip: address of the client, reported like the gateway does (the service trusts the loopback address)
+const login = (service, email, password = PASSWORD, { ip } = {}) => request(service, 'POST', '/login', {
+  body: { email, password },
+  headers: ip ? { 'X-Forwarded-For': ip } : {}
+});
+
+module.exports = { PASSWORD, createTestDatabase, startService, request, lastMailTo, tokenMailedTo, registerUser, login };
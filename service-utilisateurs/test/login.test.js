@@ -0,0 +1,49 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { PASSWORD, startService, registerUser, login } = require('./helpers');
+
+describe('POST /login throttling', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+    await registerUser(service, 'alice@example.com');
+  });
+  after(() => service.stop());
+
+  it('refuses even the right password while the account is blocked after failed attempts', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await login(service, 'alice@example.com', 'Wrong123!')).status, 401);
+    }
+
+    const blocked = await login(service, 'alice@example.com', PASSWORD);
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.headers.get('retry-after'), '1');
+
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    assert.equal((await login(service, 'alice@example.com', PASSWORD)).status, 200);
+    // The successful login cleared the failures of the account
+    assert.equal((await login(service, 'alice@example.com', 'Wrong123!')).status, 401);
+    assert.equal((await login(service, 'alice@example.com', PASSWORD)).status, 200);
+  });
+
+  it('counts every failed attempt of a burst sent in parallel', async () => {
+    await registerUser(service, 'bob@example.com');
+    // From an address of its own, whose failures do not block the other tests
+    const ip = '192.0.2.50';
+    const burst = await Promise.all(Array.from({ length: 5 }, () => login(service, 'bob@example.com', 'Wrong123!', { ip })));
+    assert.deepEqual(burst.map(response => response.status), [401, 401, 401, 401, 401]);
+
+    // 5 failures: blocked for 2^(5 - 3) seconds
+    const blocked = await login(service, 'bob@example.com', PASSWORD, { ip });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.headers.get('retry-after'), '4');
+  });
+
+  it('answers the same for an account that does not exist', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await login(service, 'nobody@example.com', 'Wrong123!')).status, 401);
+    }
+    assert.equal((await login(service, 'nobody@example.com', 'Wrong123!')).status, 429);
+  });
+});
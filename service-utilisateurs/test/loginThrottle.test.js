@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { createLoginThrottle } = require('../loginThrottle');
+const { createTestDatabase } = require('./helpers');
+
+describe('loginThrottle', () => {
+  let sequelize;
+  let throttle;
+
+  before(async () => {
+    sequelize = await createTestDatabase();
+    throttle = createLoginThrottle(sequelize);
+  });
+  after(() => sequelize.close());
+  beforeEach(() => throttle.LoginFailure.destroy({ where: {} }));
+
+  const failTimes = async (attempt, times) => {
+    for (let i = 0; i < times; i++) await throttle.recordFailure(attempt);
+  };
+
+  it('lets the first failed attempts through, then blocks the account for a growing delay', async () => {
+    const attempt = { email: 'alice@example.com', ip: '192.0.2.1' };
+    await failTimes(attempt, 2);
+    assert.equal(await throttle.retryAfter(attempt), 0);
+
+    await throttle.recordFailure(attempt);
+    assert.equal(await throttle.retryAfter(attempt), 1);
+    await failTimes(attempt, 2);
+    assert.equal(await throttle.retryAfter(attempt), 4);
+  });
+
+  it('locks the account for 15 minutes after 10 failures', async () => {
+    const attempt = { email: 'alice@example.com', ip: '192.0.2.1' };
+    await failTimes(attempt, 10);
+    assert.equal(await throttle.retryAfter(attempt), 15 * 60);
+  });
+
+  it('counts the account whatever the case of the email, and from any address', async () => {
+    await failTimes({ email: 'Alice@Example.com', ip: '192.0.2.1' }, 3);
+    assert.equal(await throttle.retryAfter({ email: 'alice@example.com', ip: '198.51.100.7' }), 1);
+  });
+
+  it('counts the accounts that do not exist like the others', async () => {
+    const attempt = { email: 'nobody@example.com', ip: '192.0.2.1' };
+    await failTimes(attempt, 3);
+    assert.equal(await throttle.retryAfter(attempt), 1);
+  });
+
+  it('blocks an address trying many accounts', async () => {
+    for (let i = 0; i < 10; i++) {
+      await throttle.recordFailure({ email: `user${i}@example.com`, ip: '192.0.2.1' });
+    }
+    assert.equal(await throttle.retryAfter({ email: 'other@example.com', ip: '192.0.2.1' }), 1);
+    assert.equal(await throttle.retryAfter({ email: 'other@example.com', ip: '192.0.2.2' }), 0);
+  });
+
+  it('clears the account but not the address after a successful login', async () => {
+    for (let i = 0; i < 10; i++) {
+      await throttle.recordFailure({ email: `user${i}@example.com`, ip: '192.0.2.1' });
+    }
+    await failTimes({ email: 'alice@example.com', ip: '192.0.2.1' }, 3);
+
+    assert.equal(await throttle.clearAccount('ALICE@example.com'), true);
+    assert.equal(await throttle.retryAfter({ email: 'alice@example.com', ip: '192.0.2.2' }), 0);
+    assert.ok(await throttle.retryAfter({ email: 'alice@example.com', ip: '192.0.2.1' }) > 0);
+    assert.equal(await throttle.clearAccount('alice@example.com'), false);
+  });
+
+  it('counts each of the failures recorded concurrently', async () => {
+    const attempt = { email: 'alice@example.com', ip: '192.0.2.1' };
+    await Promise.all(Array.from({ length: 5 }, () => throttle.recordFailure(attempt)));
+
+    const counters = await throttle.LoginFailure.findAll({ order: [['scope', 'ASC']] });
+    assert.deepEqual(counters.map(({ scope, failures }) => ({ scope, failures })), [
+      { scope: 'account', failures: 5 },
+      { scope: 'ip', failures: 5 }
+    ]);
+    assert.equal(await throttle.retryAfter(attempt), 4);
+  });
+
+  it('starts counting again after an hour without failure', async () => {
+    const attempt = { email: 'alice@example.com', ip: '192.0.2.1' };
+    await failTimes(attempt, 5);
+    await throttle.LoginFailure.update({ lastFailureAt: new Date(Date.now() - 2 * 60 * 60 * 1000) }, { where: {} });
+
+    await throttle.recordFailure(attempt);
+    const counter = await throttle.LoginFailure.findOne({ where: { scope: 'account' } });
+    assert.equal(counter.failures, 1);
+    assert.equal(await throttle.retryAfter(attempt), 0);
+  });
+});
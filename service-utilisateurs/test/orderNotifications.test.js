@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { createOrderNotifications } = require('../orderNotifications');
+const { createTestDatabase } = require('./helpers');
+
+describe('orderNotifications', () => {
+  let sequelize;
+  let notifications;
+  const sent = [];
+  let failingMails = 0; // Number of the next mails that fail
+
+  before(async () => {
+    sequelize = await createTestDatabase();
+    const mailer = {
+      send: async (message) => {
+        if (failingMails > 0) {
+          failingMails -= 1;
+          throw new Error('SMTP server unavailable');
+        }
+        sent.push(message);
+      }
+    };
+    const findRecipient = async userId => (userId === 1 ? { email: 'alice@example.com', name: 'Alice' } : null);
+    notifications = createOrderNotifications(sequelize, { mailer, findRecipient });
+  });
+  after(() => sequelize.close());
+  beforeEach(async () => {
+    sent.length = 0;
+    failingMails = 0;
+    await notifications.OrderNotification.destroy({ where: {} });
+  });
+
+  const orderCreated = (userId = 1) => ({
+    id: 'event-1',
+    type: 'OrderCreated',
+    data: {
+      orderId: 7,
+      userId,
+      status: 'En cours',
+      items: [{ bookId: 3, quantity: 2, unitPrice: 500 }],
+      currency: 'EUR',
+      subtotal: 1000,
+      tax: 55,
+      total: 1055
+    }
+  });
+
+  it('mails the confirmation of a new order to its customer', async () => {
+    await notifications.handleOrderEvent(orderCreated());
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'alice@example.com');
+    assert.equal(sent[0].subject, 'Confirmation de votre commande n°7');
+    assert.match(sent[0].text, /2 exemplaire\(s\), pour un montant de 10,55 EUR TTC/);
+  });
+
+  it('mails the new status of an order, with the reason of a cancellation', async () => {
+    await notifications.handleOrderEvent({
+      id: 'event-2',
+      type: 'OrderStatusChanged',
+      data: { orderId: 7, userId: 1, fromStatus: 'Payée', toStatus: 'Annulée', changedBy: 2, reason: 'Rupture de stock' }
+    });
+
+    assert.equal(sent[0].subject, 'Votre commande n°7 : Annulée');
+    assert.match(sent[0].text, /du statut « Payée » au statut « Annulée »/);
+    assert.match(sent[0].text, /Motif : Rupture de stock/);
+  });
+
+  it('mails an event delivered twice only once', async () => {
+    await notifications.handleOrderEvent(orderCreated());
+    await notifications.handleOrderEvent(orderCreated());
+
+    assert.equal(sent.length, 1);
+  });
+
+  it('fails while the mail cannot be sent, so that the event is delivered again', async () => {
+    failingMails = 1;
+    await assert.rejects(notifications.handleOrderEvent(orderCreated()), /SMTP server unavailable/);
+    assert.equal(sent.length, 0);
+
+    await notifications.handleOrderEvent(orderCreated());
+    assert.equal(sent.length, 1);
+  });
+
+  it('mails nothing about the orders of a closed account', async () => {
+    await notifications.handleOrderEvent(orderCreated(2));
+
+    assert.equal(sent.length, 0);
+    assert.equal(await notifications.OrderNotification.count(), 1);
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { after, before, describe, it } = require('node:test');
+const { PASSWORD, startService, request, tokenMailedTo, registerUser, login } = require('./helpers');
+
+const NEW_PASSWORD = 'Nouveau456!';
+
+const forgot = (service, email) => request(service, 'POST', '/password/forgot', { body: { email } });
+const reset = (service, token, password = NEW_PASSWORD) => request(service, 'POST', '/password/reset', { body: { token, password } });
+
+describe('password reset', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+  });
+  after(() => service.stop());
+
+  it('answers the same whether or not the account exists, and only mails existing accounts', async () => {
+    await registerUser(service, 'alice@example.com');
+    const mailsBefore = fs.readdirSync(service.mailOutbox).length;
+
+    const known = await forgot(service, 'alice@example.com');
+    const unknown = await forgot(service, 'nobody@example.com');
+    assert.equal(known.status, 202);
+    assert.equal(unknown.status, 202);
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(fs.readdirSync(service.mailOutbox).length, mailsBefore + 1);
+  });
+
+  it('replaces the password and ends the sessions opened with the old one', async () => {
+    await registerUser(service, 'bob@example.com');
+    const { body: { refreshToken } } = await login(service, 'bob@example.com');
+
+    await forgot(service, 'bob@example.com');
+    assert.equal((await reset(service, tokenMailedTo(service, 'bob@example.com'))).status, 204);
+
+    assert.equal((await login(service, 'bob@example.com', PASSWORD)).status, 401);
+    assert.equal((await login(service, 'bob@example.com', NEW_PASSWORD)).status, 200);
+    assert.equal((await request(service, 'POST', '/token/refresh', { body: { refreshToken } })).status, 401);
+  });
+
+  it('accepts each link only once', async () => {
+    await registerUser(service, 'carol@example.com');
+    await forgot(service, 'carol@example.com');
+    const token = tokenMailedTo(service, 'carol@example.com');
+
+    assert.equal((await reset(service, token)).status, 204);
+    assert.equal((await reset(service, token, 'Encore789!')).status, 400);
+    assert.equal((await login(service, 'carol@example.com', NEW_PASSWORD)).status, 200);
+  });
+
+  it('accepts only the latest link', async () => {
+    await registerUser(service, 'dave@example.com');
+    await forgot(service, 'dave@example.com');
+    const first = tokenMailedTo(service, 'dave@example.com');
+    await forgot(service, 'dave@example.com');
+    const latest = tokenMailedTo(service, 'dave@example.com');
+
+    assert.equal((await reset(service, first)).status, 400);
+    assert.equal((await reset(service, latest)).status, 204);
+  });
+
+  it('refuses an unknown token and a weak password', async () => {
+    assert.equal((await reset(service, 'a'.repeat(64))).status, 400);
+
+    await registerUser(service, 'erin@example.com');
+    await forgot(service, 'erin@example.com');
+    const token = tokenMailedTo(service, 'erin@example.com');
+    assert.equal((await reset(service, token, 'court')).status, 400);
+    // A refused password does not use the link
+    assert.equal((await reset(service, token)).status, 204);
+  });
+});
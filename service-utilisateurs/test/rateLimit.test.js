@@ -0,0 +1,50 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createRateLimiter } = require('../rateLimit');
+
+// Runs the middleware on a request from the given address. Returns the status sent (null when it called next)
+// and the headers set.
+const call = (limiter, ip) => {
+  const headers = {};
+  let status = null;
+  const res = {
+    set: (name, value) => { headers[name] = value; },
+    status: (code) => {
+      status = code;
+      return { send: () => {} };
+    }
+  };
+  limiter({ ip }, res, () => {});
+  return { status, headers };
+};
+
+describe('createRateLimiter', () => {
+  it('lets the requests through up to the limit, then answers 429 with Retry-After', () => {
+    const limiter = createRateLimiter({ windowSeconds: 60, max: 2 });
+    assert.equal(call(limiter, '192.0.2.1').status, null);
+    const second = call(limiter, '192.0.2.1');
+    assert.equal(second.status, null);
+    assert.equal(second.headers['RateLimit-Remaining'], '0');
+
+    const third = call(limiter, '192.0.2.1');
+    assert.equal(third.status, 429);
+    assert.equal(third.headers['Retry-After'], '60');
+  });
+
+  it('counts each client on its own', () => {
+    const limiter = createRateLimiter({ windowSeconds: 60, max: 1 });
+    call(limiter, '192.0.2.1');
+    assert.equal(call(limiter, '192.0.2.1').status, 429);
+    assert.equal(call(limiter, '192.0.2.2').status, null);
+  });
+
+  it('starts counting again once the window is over', (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+    const limiter = createRateLimiter({ windowSeconds: 60, max: 1 });
+    call(limiter, '192.0.2.1');
+    assert.equal(call(limiter, '192.0.2.1').status, 429);
+
+    t.mock.timers.tick(60 * 1000);
+    assert.equal(call(limiter, '192.0.2.1').status, null);
+  });
+});
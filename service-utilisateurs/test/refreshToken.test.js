@@ -0,0 +1,67 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { startService, request, registerUser, login } = require('./helpers');
+
+const refresh = (service, refreshToken) => request(service, 'POST', '/token/refresh', { body: { refreshToken } });
+
+describe('refresh tokens', () => {
+  let service;
+
+  before(async () => {
+    service = await startService();
+    await registerUser(service, 'alice@example.com');
+    await registerUser(service, 'bob@example.com');
+  });
+  after(() => service.stop());
+
+  it('are rotated: each one gives a new pair of tokens once', async () => {
+    const { body: { user, refreshToken } } = await login(service, 'alice@example.com');
+
+    const rotated = await refresh(service, refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.accessToken);
+    assert.notEqual(rotated.body.refreshToken, refreshToken);
+
+    const me = await request(service, 'GET', `/users/${user.id}`, { token: rotated.body.accessToken });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, 'alice@example.com');
+  });
+
+  it('revoke every session of the user when a rotated token is used again', async () => {
+    const { body: { refreshToken: stolen } } = await login(service, 'alice@example.com');
+    const { body: { refreshToken: otherSession } } = await login(service, 'alice@example.com');
+    const { body: { refreshToken: current } } = await refresh(service, stolen);
+
+    const replay = await refresh(service, stolen);
+    assert.equal(replay.status, 401);
+    assert.equal((await refresh(service, current)).status, 401);
+    assert.equal((await refresh(service, otherSession)).status, 401);
+  });
+
+  it('give a single new pair of tokens to concurrent refreshes with the same token', async () => {
+    const { body: { refreshToken } } = await login(service, 'alice@example.com');
+
+    const statuses = (await Promise.all([refresh(service, refreshToken), refresh(service, refreshToken)]))
+      .map(response => response.status);
+    assert.deepEqual(statuses.sort(), [200, 401]);
+  });
+
+  it('leave the sessions of the other users alone', async () => {
+    const { body: { refreshToken: bobToken } } = await login(service, 'bob@example.com');
+    const { body: { refreshToken: stolen } } = await login(service, 'alice@example.com');
+    await refresh(service, stolen);
+    await refresh(service, stolen);
+
+    assert.equal((await refresh(service, bobToken)).status, 200);
+  });
+
+  it('stop working after logout', async () => {
+    const { body: { refreshToken } } = await login(service, 'alice@example.com');
+    assert.equal((await request(service, 'POST', '/logout', { body: { refreshToken } })).status, 204);
+    assert.equal((await refresh(service, refreshToken)).status, 401);
+  });
+
+  it('are refused when unknown', async () => {
+    assert.equal((await refresh(service, 'not-a-token')).status, 401);
+  });
+});